@@ -1,9 +1,12 @@
 // API client for the Regnum Forum Archive
 import { showToast } from './utils.js';
 
-class ApiClient {
-    constructor() {
-        this.baseUrl = '/api';
+// Page size of the JSON snapshot files
+const SNAPSHOT_PAGE_SIZE = 20;
+
+export class ApiClient {
+    constructor({ baseUrl = '/api', snapshot = false } = {}) {
+        this.configure({ baseUrl, snapshot });
         this.defaultHeaders = {
             'Content-Type': 'application/json',
         };
@@ -16,6 +19,41 @@ class ApiClient {
         this.responseInterceptors.push(this.handleApiError.bind(this));
     }
     
+    // Point the client at another API. With snapshot set, baseUrl is the api/
+    // directory of a JSON snapshot (npm run export:static -- --api) and each
+    // GET reads a file instead: /threads?page=2 -> /threads/page-2.json
+    configure({ baseUrl = this.baseUrl, snapshot = this.snapshot } = {}) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.snapshot = snapshot;
+    }
+    
+    // File of a JSON snapshot holding the response for endpoint and params.
+    // Snapshots only hold pages of default size, filtered at most by language
+    // and category, which are stored below the endpoint:
+    // /threads?language=English&page=2 -> /threads/language/English/page-2.json
+    getSnapshotPath(endpoint, params = {}) {
+        const { page = 1, limit = SNAPSHOT_PAGE_SIZE, language, category, ...filters } = params;
+        const unsupported = Object.keys(filters)
+            .filter(key => filters[key] !== null && filters[key] !== undefined && filters[key] !== '');
+        
+        if (Number(limit) !== SNAPSHOT_PAGE_SIZE) {
+            unsupported.push('limit');
+        }
+        
+        if (unsupported.length > 0) {
+            const error = new Error(`Not available in the API snapshot: ${endpoint} with ${unsupported.join(', ')}`);
+            error.status = 404;
+            throw error;
+        }
+        
+        const filterPath = Object.entries({ language, category })
+            .filter(([, value]) => value)
+            .map(([name, value]) => `/${name}/${encodeURIComponent(value)}`)
+            .join('');
+        const pageNumber = parseInt(page) || 1;
+        return `${endpoint}${filterPath}/${pageNumber > 1 ? `page-${pageNumber}` : 'index'}.json`;
+    }
+    
     // Add request interceptor
     addRequestInterceptor(interceptor) {
         this.requestInterceptors.push(interceptor);
@@ -81,6 +119,10 @@ class ApiClient {
     
     // GET request
     async get(endpoint, params = {}) {
+        if (this.snapshot) {
+            return this.request(this.getSnapshotPath(endpoint, params), { method: 'GET' });
+        }
+        
         const searchParams = new URLSearchParams();
         Object.entries(params).forEach(([key, value]) => {
             if (value !== null && value !== undefined && value !== '') {
@@ -116,25 +158,48 @@ class ApiClient {
     }
 }
 
-// Create singleton instance
-const api = new ApiClient();
+// Create singleton instance; a page can set window.API_CONFIG
+// ({ baseUrl, snapshot }) before loading the scripts to use another API
+const api = new ApiClient(window.API_CONFIG);
+
+// Whether the app reads a JSON snapshot, which holds no sorted or shuffled
+// listings
+export function isSnapshot() {
+    return api.snapshot;
+}
 
 // Threads API
 export const threadsAPI = {
     // Get threads with filtering and pagination
     async getThreads(filters = {}) {
-        const { language, category, search, page = 1, limit = 20 } = filters;
-        return api.get('/threads', { language, category, search, page, limit });
+        const { language, category, search, random, seed, sort, page = 1, limit = 20 } = filters;
+        return api.get('/threads', { language, category, search, random, seed, sort, page, limit });
+    },
+    
+    // Get specific thread, with its neighbors in the listing order `sort`
+    async getThread(threadId, sort = null) {
+        return api.get(`/threads/${threadId}`, { sort });
+    },
+    
+    // Get posts for a thread, or only those of userId
+    async getThreadPosts(threadId, page = 1, limit = 20, userId = null) {
+        return api.get(`/threads/${threadId}/posts`, { page, limit, userId });
+    },
+    
+    // Registered users who posted in a thread, most posts first
+    async getThreadParticipants(threadId) {
+        return api.get(`/threads/${threadId}/participants`);
     },
     
-    // Get specific thread
-    async getThread(threadId) {
-        return api.get(`/threads/${threadId}`);
+    // Post number postNo of a thread and the page of the thread view (of
+    // pageSize posts) it is on
+    async getPostByNumber(threadId, postNo, pageSize = 20) {
+        return api.get(`/threads/${threadId}/posts/${postNo}`, { pageSize });
     },
     
-    // Get posts for a thread
-    async getThreadPosts(threadId, page = 1, limit = 20) {
-        return api.get(`/threads/${threadId}/posts`, { page, limit });
+    // Find posts inside a thread; pageSize is the page size of the thread view
+    async searchThread(threadId, query, page = 1, limit = 10, pageSize = 20) {
+        return api.get(`/threads/${threadId}/search`, { q: query, page, limit, pageSize });
     },
     
     // Get available languages
@@ -148,6 +213,28 @@ export const threadsAPI = {
     }
 };
 
+// Posts API
+export const postsAPI = {
+    // Full-text search over individual posts
+    async searchPosts(filters = {}) {
+        const { search, language, category, page = 1, limit = 20, pageSize = 20 } = filters;
+        return api.get('/posts/search', { q: search, language, category, page, limit, pageSize });
+    },
+    
+    // A post with its thread and the thread page it is on
+    async getPost(postId, pageSize = 20) {
+        return api.get(`/posts/${postId}`, { pageSize });
+    }
+};
+
+// Search suggestions API
+export const suggestAPI = {
+    // Thread titles and usernames matching what has been typed so far
+    async getSuggestions(query, limit = 5) {
+        return api.get('/suggest', { q: query, limit });
+    }
+};
+
 // Users API
 export const usersAPI = {
     // Get users with pagination and search
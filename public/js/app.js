@@ -14,12 +14,16 @@ import {
     restoreScrollPosition,
     clearScrollPosition,
     enableAutoScrollSave,
-    formatNumber
+    formatNumber,
+    scrollToElement,
+    toJsString
 } from './utils.js';
-import { threadsAPI, usersAPI, statsAPI, cachedAPI } from './api.js';
+import { threadsAPI, postsAPI, suggestAPI, usersAPI, statsAPI, cachedAPI, isSnapshot } from './api.js';
 // WebSocket removed - static archive only
 import {
     createThreadList,
+    createThreadSortOptions,
+    createCategoryDownloadButton,
     createPostsList,
     createUserList,
     createLanguageTabs,
@@ -27,10 +31,24 @@ import {
     createCategoriesSidebar,
     createCategoriesSidebarGrouped,
     createPagination,
+    createPostJump,
     createBreadcrumb,
     createStatsCards,
+    createLanguageStats,
+    createYearlyActivity,
+    createTopCategories,
+    createLeaderboard,
     createSearchInfo,
+    createSearchTabs,
+    createPostSearchResults,
+    createSearchSuggestions,
+    createThreadSearchBox,
+    createThreadSearchResults,
     createThreadHeader,
+    createThreadParticipants,
+    createAuthorFilterNotice,
+    createThreadNeighbors,
+    threadSortParams,
     createPageHeader
 } from './components.js';
 import router, { setupRoutes, setupNavigationFunctions } from './router.js';
@@ -105,8 +123,13 @@ class ForumApplication {
         const searchInput = document.getElementById('search-input');
         if (searchInput) {
             searchInput.addEventListener('input', this.searchDebounced);
+            searchInput.addEventListener('keydown', this.handleSearchKeydown.bind(this));
+            searchInput.addEventListener('blur', () => this.hideSearchSuggestions());
         }
         
+        // Previous/next thread shortcuts
+        document.addEventListener('keydown', this.handleThreadKeydown.bind(this));
+        
         // Language select handler
         const languageSelect = document.getElementById('language-select');
         if (languageSelect) {
@@ -196,11 +219,119 @@ class ForumApplication {
     }
     
     // Handle search input
-    handleSearchInput(event) {
+    async handleSearchInput(event) {
         const query = event.target.value.trim();
+        this.suggestionQuery = query;
+        
+        if (query.length < 2) {
+            this.hideSearchSuggestions();
+            return;
+        }
+        
+        try {
+            const response = await suggestAPI.getSuggestions(query);
+            
+            // Ignore responses for text that has been typed over since
+            if (query !== this.suggestionQuery || document.activeElement !== event.target) return;
+            
+            if (response.success) {
+                this.showSearchSuggestions(createSearchSuggestions(response.data, query));
+            }
+        } catch (error) {
+            console.error('Failed to load search suggestions:', error);
+            this.hideSearchSuggestions();
+        }
+    }
+    
+    // Render the suggestions dropdown, hiding it when there is nothing to show
+    showSearchSuggestions(html) {
+        const container = document.getElementById('search-suggestions');
+        if (!container) return;
+        
+        if (!html) {
+            this.hideSearchSuggestions();
+            return;
+        }
         
-        // Show search suggestions (could be implemented)
-        // this.showSearchSuggestions(query);
+        container.innerHTML = html;
+        container.style.display = 'block';
+        this.activeSuggestion = -1;
+        document.getElementById('search-input')?.setAttribute('aria-expanded', 'true');
+    }
+    
+    // Close the suggestions dropdown
+    hideSearchSuggestions() {
+        const container = document.getElementById('search-suggestions');
+        if (container) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+        }
+        
+        this.activeSuggestion = -1;
+        this.suggestionQuery = null;
+        
+        const searchInput = document.getElementById('search-input');
+        searchInput?.setAttribute('aria-expanded', 'false');
+        searchInput?.removeAttribute('aria-activedescendant');
+    }
+    
+    // p and n open the previous and next thread from a thread page
+    handleThreadKeydown(event) {
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        
+        // Leave typing in the search boxes alone
+        const target = event.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+        
+        const button = event.key === 'p' ? document.getElementById('previous-thread-btn')
+            : event.key === 'n' ? document.getElementById('next-thread-btn')
+            : null;
+        
+        if (button) {
+            event.preventDefault();
+            button.click();
+        }
+    }
+    
+    // Keyboard navigation through the suggestions dropdown
+    handleSearchKeydown(event) {
+        const container = document.getElementById('search-suggestions');
+        if (!container || container.style.display === 'none') return;
+        
+        const items = container.querySelectorAll('.search-suggestion');
+        if (items.length === 0) return;
+        
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                this.setActiveSuggestion(items, (this.activeSuggestion + 1) % items.length);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                this.setActiveSuggestion(items, this.activeSuggestion <= 0 ? items.length - 1 : this.activeSuggestion - 1);
+                break;
+            case 'Enter':
+                // Without a highlighted suggestion Enter runs a normal search
+                if (this.activeSuggestion >= 0) {
+                    event.preventDefault();
+                    items[this.activeSuggestion].click();
+                } else {
+                    this.hideSearchSuggestions();
+                }
+                break;
+            case 'Escape':
+                event.preventDefault();
+                this.hideSearchSuggestions();
+                break;
+        }
+    }
+    
+    // Highlight a suggestion and keep it in view
+    setActiveSuggestion(items, index) {
+        items.forEach((item, i) => item.classList.toggle('active', i === index));
+        items[index].scrollIntoView({ block: 'nearest' });
+        this.activeSuggestion = index;
+        document.getElementById('search-input')?.setAttribute('aria-activedescendant', items[index].id);
     }
     
     // Handle language change
@@ -222,7 +353,7 @@ class ForumApplication {
     
     // Load home page
     async loadHomePage(params = {}) {
-        const { language, category, page = 1 } = params;
+        const { language, category, seed, sort, page = 1 } = params;
         
         // Save current scroll position if we're changing filters but not pagination
         const currentFilters = this.currentFilters;
@@ -293,20 +424,34 @@ class ForumApplication {
         try {
             showLoading('main-content');
             
-            // Load threads - use random threads on main index page
+            // Load threads - use random threads on main index page unless
+            // a sort was picked. Snapshots only hold the latest threads.
+            const random = !language && !category && !sort && !isSnapshot();
+
             const threadsResponse = await threadsAPI.getThreads({
                 language,
                 category,
                 page,
                 limit: 20,
-                random: !language && !category // Get random threads only on main index page
+                random: random || undefined, // Get random threads only on main index page
+                seed: random ? seed : undefined,
+                sort: random ? undefined : sort
             });
             
             if (!threadsResponse.success) {
                 throw new Error('Failed to load threads');
             }
             
-            const { threads, pagination } = threadsResponse.data;
+            const { threads, pagination, filters } = threadsResponse.data;
+            
+            // Put the server-picked seed in the URL so this shuffle can be
+            // shared and its pages stay the same
+            if (random && filters.seed !== undefined && String(filters.seed) !== String(seed)) {
+                router.currentParams.seed = filters.seed;
+                const url = new URL(window.location);
+                url.searchParams.set('seed', filters.seed);
+                window.history.replaceState({ path: '/', params: { ...params, seed: filters.seed } }, '', url);
+            }
             
             // Build page content
             let content = '';
@@ -345,18 +490,27 @@ class ForumApplication {
             content += `<div class="${mainColClass}">`;
             
             // Add header for random threads on main page
-            if (!language && !category) {
+            if (random) {
                 content += `
                     <div class="d-flex justify-content-between align-items-center mb-4">
                         <h4><i class="bi bi-shuffle text-primary"></i> Random Forum Threads</h4>
-                        <button class="btn btn-outline-primary btn-sm" onclick="location.reload()">
+                        <button class="btn btn-outline-primary btn-sm" onclick="shuffleThreads()">
                             <i class="bi bi-arrow-clockwise"></i> Shuffle Again
                         </button>
                     </div>
                 `;
             }
             
-            content += createThreadList(threads);
+            if (category) {
+                content += createCategoryDownloadButton(language, category);
+            }
+            
+            // Snapshots hold no sorted listings to switch to
+            if (!isSnapshot()) {
+                content += createThreadSortOptions(random ? 'random' : filters.sort, !language && !category);
+            }
+            // Thread links keep the order so their previous/next buttons follow it
+            content += createThreadList(threads, null, random ? null : sort);
             content += '</div>';
             
             content += '</div>';
@@ -387,15 +541,28 @@ class ForumApplication {
     
     // Load thread page
     async loadThreadPage(threadId, params = {}) {
-        const { page = 1 } = params;
+        let { page = 1 } = params;
+        
+        // ?userId=N shows only that participant's posts
+        const userId = parseInt(params.userId) || null;
+        this.threadAuthor = userId;
+        
+        // ?sort=X is the listing order the thread was opened from, which
+        // the previous/next buttons follow; otherwise the default order
+        const { sort } = threadSortParams(params.sort);
         
         try {
             showLoading('main-content');
             
+            // ?post=N opens the page holding post #N instead
+            if (params.post) {
+                page = await this.resolvePostNumber(threadId, params.post, page);
+            }
+            
             // Load thread details and posts
             const [threadResponse, postsResponse] = await Promise.all([
-                threadsAPI.getThread(threadId),
-                threadsAPI.getThreadPosts(threadId, page, 20)
+                threadsAPI.getThread(threadId, sort),
+                threadsAPI.getThreadPosts(threadId, page, 20, userId)
             ]);
             
             if (!threadResponse.success || !postsResponse.success) {
@@ -408,8 +575,8 @@ class ForumApplication {
             // Update breadcrumb
             const breadcrumbs = [
                 { text: 'Forum', icon: 'bi-house', action: 'navigateToHome()', url: '/' },
-                { text: thread.language, action: `filterByLanguage('${thread.language}')`, url: `/?language=${encodeURIComponent(thread.language)}` },
-                { text: thread.category, action: `filterByCategory('${thread.language}', '${thread.category}')`, url: `/?language=${encodeURIComponent(thread.language)}&category=${encodeURIComponent(thread.category)}` },
+                { text: thread.language, action: `filterByLanguage(${toJsString(thread.language)})`, url: `/?language=${encodeURIComponent(thread.language)}` },
+                { text: thread.category, action: `filterByCategory(${toJsString(thread.language)}, ${toJsString(thread.category)})`, url: `/?language=${encodeURIComponent(thread.language)}&category=${encodeURIComponent(thread.category)}` },
                 { text: thread.name, url: `/threads/${threadId}` }
             ];
             this.updateBreadcrumb(breadcrumbs);
@@ -480,8 +647,8 @@ class ForumApplication {
                 keywords: `${thread.name}, ${thread.language}, ${thread.category}, Regnum Online, Champions of Regnum, forum, discussion`,
                 type: 'article',
                 author: thread.threadCreator,
-                publishedTime: thread.createdTime,
-                modifiedTime: thread.lastPostTime || thread.createdTime,
+                publishedTime: thread.createdAt,
+                modifiedTime: thread.lastPostAt || thread.createdAt,
                 section: thread.category,
                 imageAlt: `${thread.name} - ${thread.category} discussion in ${thread.language}`
             });
@@ -502,8 +669,8 @@ class ForumApplication {
                         url: window.location.origin + '/assets/cor-logo.png'
                     }
                 },
-                datePublished: thread.createdTime,
-                dateModified: thread.lastPostTime || thread.createdTime,
+                datePublished: thread.createdAt,
+                dateModified: thread.lastPostAt || thread.createdAt,
                 articleSection: thread.category,
                 inLanguage: thread.language,
                 mainEntityOfPage: {
@@ -525,12 +692,27 @@ class ForumApplication {
             // Generate breadcrumb structured data
             generateBreadcrumbStructuredData(breadcrumbs);
             
-            // Build content
+            // Build content. Keep the find-in-thread query while moving
+            // between pages of the same thread.
+            if (this.threadSearch && this.threadSearch.threadId !== thread.id) {
+                this.threadSearch = null;
+            }
             let content = createThreadHeader(thread);
-            
-            // Add pagination if multiple pages
+            content += createThreadSearchBox(thread.id, this.threadSearch?.query);
+            
+            // Add pagination if multiple pages, keeping the author filter
+            // and the listing order
+            const paginationOptions = { extraControls: createPostJump(thread.id) };
+            if (userId || sort) {
+                const filters = [userId && `userId: ${userId}`, sort && `sort: '${sort}'`].filter(Boolean).join(', ');
+                paginationOptions.navFunction = `function(page) { navigateToThread(${threadId}, page, { ${filters} }); }`;
+            }
             if (pagination.totalPages > 1) {
-                content += `<div class="mb-4">${createPagination(pagination, `thread-${threadId}`)}</div>`;
+                content += `<div class="mb-4">${createPagination(pagination, `thread-${threadId}`, paginationOptions)}</div>`;
+            }
+            
+            if (userId) {
+                content += createAuthorFilterNotice(threadId, posts[0]?.username, pagination.totalPosts);
             }
             
             // Add posts
@@ -538,13 +720,16 @@ class ForumApplication {
             
             // Add bottom pagination
             if (pagination.totalPages > 1) {
-                content += `<div class="mt-4">${createPagination(pagination, `thread-${threadId}`)}</div>`;
+                content += `<div class="mt-4">${createPagination(pagination, `thread-${threadId}`, paginationOptions)}</div>`;
             }
             
+            // Previous/next thread in the listing the thread was opened from
+            content += createThreadNeighbors(thread.neighbors);
+            
             // Add back navigation
             content += `
                 <div class="text-center mt-4 mb-4">
-                    <button onclick="filterByCategory('${thread.language}', '${thread.category}')" class="btn btn-outline-primary">
+                    <button onclick="filterByCategory(${toJsString(thread.language)}, ${toJsString(thread.category)})" class="btn btn-outline-primary">
                         <i class="bi bi-arrow-left"></i> Back to ${thread.category}
                     </button>
                     <button onclick="navigateToHome()" class="btn btn-outline-secondary ms-2">
@@ -558,6 +743,14 @@ class ForumApplication {
             // Hide the global pagination elements since thread pages use inline pagination
             this.hideGlobalPagination();
             
+            // Restore the find-in-thread hits
+            if (this.threadSearch) {
+                this.searchInThread(thread.id, this.threadSearch.page);
+            }
+            
+            // Jump to a linked post, e.g. /threads/1?page=2#post-123
+            this.scrollToPostAnchor();
+            
             // Notify WebSocket that we're viewing this thread
             // WebSocket thread viewing removed - static archive
             
@@ -567,6 +760,132 @@ class ForumApplication {
         }
     }
     
+    // Open a post permalink (/posts/:id): look up the thread page the post is
+    // on and show it in place of the permalink, scrolled to the post
+    async loadPostPermalink(postId) {
+        try {
+            showLoading('main-content');
+            
+            const response = await postsAPI.getPost(postId);
+            if (!response.success) {
+                throw new Error(response.message);
+            }
+            
+            const { post, page } = response.data;
+            const path = `/threads/${post.threadId}`;
+            const params = page > 1 ? { page } : {};
+            
+            // Replace the permalink in the history, so Back skips it
+            const url = `${path}${page > 1 ? `?page=${page}` : ''}#post-${post.id}`;
+            window.history.replaceState({ path, params }, '', url);
+            router.navigate(path, params, false);
+            
+        } catch (error) {
+            console.error('Failed to load post:', error);
+            showError('main-content', error.status === 404
+                ? 'Post not found. It may have been removed from the archive.'
+                : 'Failed to load post. Please try again.');
+        }
+    }
+    
+    // Fill the participants panel of the thread header when it is opened.
+    // The list is kept while moving between pages of the same thread.
+    async loadThreadParticipants(threadId) {
+        const container = document.getElementById('thread-participants-list');
+        if (!container || container.dataset.loaded) return;
+        container.dataset.loaded = 'true';
+        
+        try {
+            if (this.threadParticipants?.threadId !== threadId) {
+                container.innerHTML = `<div class="text-center text-muted small"><div class="spinner-border spinner-border-sm"></div> Loading participants...</div>`;
+                
+                const response = await threadsAPI.getThreadParticipants(threadId);
+                if (!response.success) {
+                    throw new Error(response.message);
+                }
+                
+                this.threadParticipants = { threadId, participants: response.data.participants };
+            }
+            
+            container.innerHTML = createThreadParticipants(this.threadParticipants.participants, threadId, this.threadAuthor);
+        } catch (error) {
+            console.error('Failed to load thread participants:', error);
+            delete container.dataset.loaded;
+            container.innerHTML = `<p class="text-danger small mb-0">Failed to load the participants. Please try again.</p>`;
+        }
+    }
+    
+    // Find posts inside the open thread and list them under the search box
+    async searchInThread(threadId, page = 1) {
+        const input = document.getElementById('thread-search-input');
+        const resultsContainer = document.getElementById('thread-search-results');
+        if (!input || !resultsContainer) return;
+        
+        const query = input.value.trim();
+        if (!query) {
+            this.threadSearch = null;
+            resultsContainer.innerHTML = '';
+            return;
+        }
+        
+        this.threadSearch = { threadId, query, page };
+        
+        try {
+            const response = await threadsAPI.searchThread(threadId, query, page);
+            if (!response.success) {
+                throw new Error(response.message);
+            }
+            
+            const { posts, pagination } = response.data;
+            resultsContainer.innerHTML = createThreadSearchResults(posts, pagination, threadId);
+        } catch (error) {
+            console.error('Failed to search thread:', error);
+            resultsContainer.innerHTML = `<p class="text-danger small mt-2 mb-0">Search is not available right now.</p>`;
+        }
+    }
+    
+    // Page of the thread holding post #postNo. Swaps ?post=N in the URL for
+    // that page and the post anchor, which scrollToPostAnchor jumps to once
+    // the page has loaded. Unknown numbers stay on the requested page.
+    async resolvePostNumber(threadId, postNo, requestedPage = 1) {
+        const path = `/threads/${threadId}`;
+        let page = parseInt(requestedPage) || 1;
+        let hash = '';
+        
+        try {
+            const response = await threadsAPI.getPostByNumber(threadId, postNo);
+            if (!response.success) {
+                throw new Error(response.message);
+            }
+            
+            page = response.data.page;
+            hash = `#post-${response.data.post.id}`;
+        } catch (error) {
+            console.error('Failed to find post number:', error);
+            this.showToast(error.status === 404
+                ? `There is no post #${postNo} in this thread.`
+                : 'Failed to find that post.', 'error');
+        }
+        
+        const params = page > 1 ? { page } : {};
+        const url = `${path}${page > 1 ? `?page=${page}` : ''}${hash}`;
+        window.history.replaceState({ path, params }, '', url);
+        
+        return page;
+    }
+    
+    // Scroll to and highlight the post referenced by the URL hash
+    scrollToPostAnchor() {
+        const hash = window.location.hash;
+        if (!hash || !hash.startsWith('#post-')) return;
+        
+        const postElement = document.getElementById(hash.substring(1));
+        if (postElement) {
+            postElement.classList.add('post-highlight');
+            scrollToElement(postElement, 20);
+        }
+    }
+    
     // Load users page
     async loadUsersPage(params = {}) {
         const { search, page = 1 } = params;
@@ -673,6 +992,80 @@ class ForumApplication {
         }
     }
     
+    // Load statistics page
+    async loadStatsPage(params = {}) {
+        const breadcrumbs = [
+            { text: 'Forum', icon: 'bi-house', action: 'navigateToHome()', url: '/' },
+            { text: 'Statistics', url: '/stats' }
+        ];
+        this.updateBreadcrumb(breadcrumbs);
+        
+        const statsTitle = 'Forum Statistics - Regnum Online Forum Archive';
+        const statsDescription = 'Statistics of the Champions of Regnum forum archive: posts per language and year, the busiest categories and the most active community members.';
+        
+        updateSEO({
+            title: statsTitle,
+            description: statsDescription,
+            url: '/stats',
+            keywords: 'statistics, analytics, forum stats, Regnum Online, Champions of Regnum, forum archive, most active users',
+            type: 'website',
+            locale: 'en_US'
+        });
+        
+        generateStructuredData('WebPage', {
+            name: statsTitle,
+            description: statsDescription,
+            url: window.location.origin + '/stats'
+        });
+        
+        generateBreadcrumbStructuredData(breadcrumbs);
+        
+        try {
+            showLoading('main-content');
+            
+            // Cached for the session, the archive never changes
+            if (!this.cachedData.stats) {
+                const response = await statsAPI.getStats();
+                
+                if (!response.success) {
+                    throw new Error('Failed to load statistics');
+                }
+                
+                this.cachedData.stats = response.data;
+            }
+            
+            const stats = this.cachedData.stats;
+            
+            const content = `
+                <div class="container">
+                    <div class="mb-4">
+                        <h2><i class="bi bi-bar-chart"></i> Forum Statistics</h2>
+                        <p class="text-muted">How the Champions of Regnum community used the forum over the years.</p>
+                    </div>
+                    
+                    ${createStatsCards(stats)}
+                    
+                    <div class="row">
+                        <div class="col-lg-6 mb-4">${createLanguageStats(stats.languages)}</div>
+                        <div class="col-lg-6 mb-4">${createYearlyActivity(stats.yearlyActivity)}</div>
+                    </div>
+                    
+                    <div class="row">
+                        <div class="col-lg-6 mb-4">${createTopCategories(stats.topCategories)}</div>
+                        <div class="col-lg-6 mb-4">${createLeaderboard(stats.mostActiveUsers)}</div>
+                    </div>
+                </div>
+            `;
+            
+            document.getElementById('main-content').innerHTML = content;
+            this.hideGlobalPagination();
+            
+        } catch (error) {
+            console.error('Failed to load statistics:', error);
+            showError('main-content', 'Failed to load statistics. Please try again.');
+        }
+    }
+    
     // Load user profile page
     async loadUserProfilePage(userId, params = {}) {
         try {
@@ -983,7 +1376,7 @@ class ForumApplication {
     
     // Load search page
     async loadSearchPage(params = {}) {
-        const { search, language, category, page = 1 } = params;
+        const { search, language, category, page = 1, tab = 'threads' } = params;
         
         if (!search) {
             this.loadHomePage(params);
@@ -1039,25 +1432,54 @@ class ForumApplication {
         try {
             showLoading('main-content');
             
-            const response = await threadsAPI.getThreads({
-                search,
-                language,
-                category,
-                page,
-                limit: 20
-            });
+            let content = '';
             
-            if (!response.success) {
-                throw new Error('Search failed');
+            if (tab === 'posts') {
+                // Individual posts with highlighted excerpts
+                const response = await postsAPI.searchPosts({
+                    search,
+                    language,
+                    category,
+                    page,
+                    limit: 20,
+                    pageSize: 20 // must match the thread page size
+                });
+                
+                if (!response.success) {
+                    throw new Error('Search failed');
+                }
+                
+                const { posts, pagination, filters } = response.data;
+                
+                content += createSearchInfo(search, filters.language, pagination.totalPosts, filters);
+                content += createSearchTabs('posts');
+                content += createPostSearchResults(posts);
+                
+                document.getElementById('main-content').innerHTML = content;
+                this.updatePagination(pagination);
+            } else {
+                const response = await threadsAPI.getThreads({
+                    search,
+                    language,
+                    category,
+                    page,
+                    limit: 20
+                });
+                
+                if (!response.success) {
+                    throw new Error('Search failed');
+                }
+                
+                const { threads, pagination, filters } = response.data;
+                
+                content += createSearchInfo(search, filters.language, pagination.totalThreads, filters);
+                content += createSearchTabs('threads');
+                content += createThreadList(threads, filters.highlightTerms);
+                
+                document.getElementById('main-content').innerHTML = content;
+                this.updatePagination(pagination);
             }
             
-            const { threads } = response.data;
-            
-            let content = createSearchInfo(search, language, threads.length);
-            content += createThreadList(threads, search);
-            
-            document.getElementById('main-content').innerHTML = content;
-            
         } catch (error) {
             console.error('Search failed:', error);
             showError('main-content', 'Search failed. Please try again.');
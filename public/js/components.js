@@ -5,11 +5,12 @@ import {
     truncateText, 
     formatNumber,
     highlightSearchTerm,
-    sanitizeHtml 
+    sanitizeHtml,
+    toJsString
 } from './utils.js';
 
-// Thread List Component
-export function createThreadList(threads, searchTerm = null) {
+// Thread List Component. `sort` is the listing order the thread links carry.
+export function createThreadList(threads, searchTerm = null, sort = null) {
     if (!threads || threads.length === 0) {
         return `
             <div class="error-state">
@@ -23,14 +24,15 @@ export function createThreadList(threads, searchTerm = null) {
     return `
         <div class="card thread-list">
             <div class="card-body p-0">
-                ${threads.map(thread => createThreadItem(thread, searchTerm)).join('')}
+                ${threads.map(thread => createThreadItem(thread, searchTerm, sort)).join('')}
             </div>
         </div>
     `;
 }
 
 // Single Thread Item Component
-export function createThreadItem(thread, searchTerm = null) {
+export function createThreadItem(thread, searchTerm = null, sort = null) {
+    const { href, navigate } = threadLink(thread.id, sort);
     const highlightedName = searchTerm ? 
         highlightSearchTerm(thread.name, searchTerm) : 
         sanitizeHtml(thread.name);
@@ -39,22 +41,22 @@ export function createThreadItem(thread, searchTerm = null) {
     const category = thread.category || 'General';
     
     return `
-        <div class="thread-item border-bottom p-3" onclick="navigateToThread(${thread.id})">
+        <div class="thread-item border-bottom p-3" onclick="${navigate}">
             <div class="row align-items-center">
                 <div class="col-md-8">
                     <div>
-                        <a href="/threads/${thread.id}" class="thread-title h5 mb-2 d-block" onclick="event.preventDefault(); navigateToThread(${thread.id})">
+                        <a href="${href}" class="thread-title h5 mb-2 d-block" onclick="event.preventDefault(); ${navigate}">
                             ${highlightedName}
                         </a>
                     </div>
                     <div class="thread-meta text-muted small">
                         <div class="mb-1">
                             <i class="bi bi-folder"></i>
-                            <a href="/?language=${encodeURIComponent(language)}" onclick="event.preventDefault(); filterByLanguage('${language}')" class="text-decoration-none">
+                            <a href="/?language=${encodeURIComponent(language)}" onclick="event.preventDefault(); filterByLanguage(${toJsString(language)})" class="text-decoration-none">
                                 ${getLanguageFlag(language)} ${sanitizeHtml(language)}
                             </a>
                             ›
-                            <a href="/?language=${encodeURIComponent(language)}&category=${encodeURIComponent(category)}" onclick="event.preventDefault(); filterByCategory('${language}', '${category}')" class="text-decoration-none">
+                            <a href="/?language=${encodeURIComponent(language)}&category=${encodeURIComponent(category)}" onclick="event.preventDefault(); filterByCategory(${toJsString(language)}, ${toJsString(category)})" class="text-decoration-none">
                                 ${sanitizeHtml(category)}
                             </a>
                         </div>
@@ -62,14 +64,14 @@ export function createThreadItem(thread, searchTerm = null) {
                             <div class="mb-1">
                                 <i class="bi bi-plus-circle"></i>
                                 Created by ${thread.threadCreatorId ? `<a href="/users/${thread.threadCreatorId}" onclick="event.preventDefault(); event.stopPropagation(); navigateToUser(${thread.threadCreatorId})" class="text-decoration-none fw-bold">${sanitizeHtml(thread.threadCreator)}</a>` : `<span class="fw-bold">${sanitizeHtml(thread.threadCreator)}</span>`}
-                                ${thread.createdTime ? `on ${thread.createdTime}` : ''}
+                                ${thread.createdTime ? `on <time datetime="${thread.createdAt || ''}">${thread.createdTime}</time>` : ''}
                             </div>
                         ` : ''}
                         ${thread.lastPoster && thread.lastPostTime ? `
                             <div>
                                 <i class="bi bi-clock"></i>
                                 Last by ${thread.lastPosterId ? `<a href="/users/${thread.lastPosterId}" onclick="event.preventDefault(); event.stopPropagation(); navigateToUser(${thread.lastPosterId})" class="text-decoration-none fw-bold">${sanitizeHtml(thread.lastPoster)}</a>` : `<span class="fw-bold">${sanitizeHtml(thread.lastPoster)}</span>`}
-                                on ${thread.lastPostTime}
+                                on <time datetime="${thread.lastPostAt || ''}">${thread.lastPostTime}</time>
                             </div>
                         ` : ''}
                     </div>
@@ -78,6 +80,11 @@ export function createThreadItem(thread, searchTerm = null) {
                     <div class="thread-stats">
                         <div class="fw-bold text-primary h5">${formatNumber(thread.postCount || 0)}</div>
                         <div class="text-muted small">Posts</div>
+                        ${thread.participantCount ? `
+                            <div class="text-muted small mt-1">
+                                <i class="bi bi-people"></i> ${formatNumber(thread.participantCount)} participants
+                            </div>
+                        ` : ''}
                     </div>
                 </div>
             </div>
@@ -124,7 +131,7 @@ export function createPostItem(post) {
                             `}
                             <span class="badge bg-primary ms-2">Post #${post.postNo || post.id}</span>
                             <small class="text-muted ms-2">ID: ${post.id}</small>
-                            <button class="btn btn-outline-secondary btn-sm ms-2" onclick="copyPostLink('${postId}')" title="Copy link to this post">
+                            <button class="btn btn-outline-secondary btn-sm ms-2" onclick="copyPostLink(${post.id})" title="Copy link to this post">
                                 <i class="bi bi-link-45deg"></i>
                             </button>
                         </div>
@@ -132,7 +139,7 @@ export function createPostItem(post) {
                     <div class="col-md-4 text-md-end">
                         <small class="text-muted">
                             <i class="bi bi-clock"></i>
-                            ${post.timestamp || 'Unknown time'}
+                            ${post.postedAt ? `<time datetime="${post.postedAt}">${post.timestamp}</time>` : (post.timestamp || 'Unknown time')}
                         </small>
                     </div>
                 </div>
@@ -219,6 +226,68 @@ export function createUserCard(user, searchTerm = null) {
     `;
 }
 
+// Thread list sort toggles; 'random' is only offered on the unfiltered home page
+const THREAD_SORT_OPTIONS = [
+    { value: 'random', label: 'Random', icon: 'bi-shuffle' },
+    { value: 'latest', label: 'Latest activity', icon: 'bi-clock-history' },
+    { value: 'replies', label: 'Most replies', icon: 'bi-chat-dots' },
+    { value: 'participants', label: 'Most participants', icon: 'bi-people' },
+    { value: 'newest', label: 'Newest', icon: 'bi-calendar-plus' },
+    { value: 'oldest', label: 'Oldest', icon: 'bi-calendar' },
+    { value: 'alphabetical', label: 'A–Z', icon: 'bi-sort-alpha-down' }
+];
+
+// Route parameters that open a thread with its previous/next buttons in the
+// listing order `sort`. The default order needs none.
+export function threadSortParams(sort) {
+    const known = THREAD_SORT_OPTIONS.some(option => option.value === sort);
+    return known && sort !== 'random' && sort !== 'latest' ? { sort } : {};
+}
+
+// Link to a thread that keeps the listing order: its href and onclick call
+function threadLink(threadId, sort) {
+    const params = threadSortParams(sort);
+    const query = new URLSearchParams(params).toString();
+    return {
+        href: `/threads/${threadId}${query ? `?${query}` : ''}`,
+        navigate: params.sort ? `navigateToThread(${threadId}, 1, { sort: '${params.sort}' })` : `navigateToThread(${threadId})`
+    };
+}
+
+export function createThreadSortOptions(activeSort, allowRandom = false) {
+    const options = THREAD_SORT_OPTIONS.filter(option => allowRandom || option.value !== 'random');
+    
+    return `
+        <div class="thread-sort-options d-flex flex-wrap align-items-center gap-2 mb-3">
+            <span class="text-muted small"><i class="bi bi-sort-down"></i> Sort by:</span>
+            <div class="btn-group btn-group-sm flex-wrap" role="group" aria-label="Sort threads">
+                ${options.map(option => `
+                    <button type="button" 
+                            class="btn ${option.value === activeSort ? 'btn-primary' : 'btn-outline-primary'}" 
+                            aria-pressed="${option.value === activeSort}" 
+                            onclick="sortThreads('${option.value}')">
+                        <i class="bi ${option.icon}"></i> ${option.label}
+                    </button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Download of a whole category as an EPUB book (GET /api/export/category)
+export function createCategoryDownloadButton(language, category) {
+    const params = new URLSearchParams(language ? { language, category } : { category });
+    
+    return `
+        <div class="d-flex justify-content-end mb-2">
+            <a class="btn btn-sm btn-outline-secondary" href="/api/export/category?${sanitizeHtml(params.toString())}" download 
+               title="All threads of this category as an e-book">
+                <i class="bi bi-book"></i> Download category (.epub)
+            </a>
+        </div>
+    `;
+}
+
 // Language Tabs Component
 export function createLanguageTabs(languages, selectedLanguage = null) {
     return `
@@ -232,7 +301,7 @@ export function createLanguageTabs(languages, selectedLanguage = null) {
             ${languages.map(lang => `
                 <li class="nav-item">
                     <a class="nav-link ${selectedLanguage === lang.language ? 'active' : ''}" 
-                       href="#" onclick="filterByLanguage('${lang.language}')">
+                       href="#" onclick="filterByLanguage(${toJsString(lang.language)})">
                         ${getLanguageFlag(lang.language)} ${sanitizeHtml(lang.language)}
                     </a>
                 </li>
@@ -272,7 +341,7 @@ export function createCategoriesOverview(categories, pagination = null, totalCat
                             </h6>
                             <div class="list-group list-group-flush">
                                 ${cats.map(cat => `
-                                    <a href="#" onclick="filterByCategory('${lang}', '${cat.category}')" 
+                                    <a href="#" onclick="filterByCategory(${toJsString(lang)}, ${toJsString(cat.category)})" 
                                        class="list-group-item list-group-item-action py-2 border-0">
                                         <div class="d-flex justify-content-between align-items-center">
                                             <span class="text-truncate">${sanitizeHtml(cat.category)}</span>
@@ -325,7 +394,7 @@ export function createCategoriesSidebar(categories, selectedCategory = null, pag
                         <i class="bi bi-collection me-2"></i> All Categories
                     </a>
                     ${categories.map(cat => `
-                        <a href="/?language=${encodeURIComponent(getCurrentLanguage())}&category=${encodeURIComponent(cat.category)}" onclick="event.preventDefault(); filterByCategory(getCurrentLanguage(), '${cat.category}')" 
+                        <a href="/?language=${encodeURIComponent(getCurrentLanguage())}&category=${encodeURIComponent(cat.category)}" onclick="event.preventDefault(); filterByCategory(getCurrentLanguage(), ${toJsString(cat.category)})" 
                            class="list-group-item list-group-item-action ${selectedCategory === cat.category ? 'active' : ''}">
                             <div class="d-flex justify-content-between align-items-center">
                                 <span>${sanitizeHtml(cat.category)}</span>
@@ -443,12 +512,12 @@ export function createCategoriesSidebarGrouped(allCategories, selectedLanguage =
                                  data-bs-parent="#categoriesAccordion">
                                 <div class="accordion-body p-0">
                                     <div class="list-group list-group-flush">
-                                        <a href="/?language=${encodeURIComponent(lang)}" onclick="event.preventDefault(); filterByLanguage('${lang}')" 
+                                        <a href="/?language=${encodeURIComponent(lang)}" onclick="event.preventDefault(); filterByLanguage(${toJsString(lang)})" 
                                            class="list-group-item list-group-item-action ${selectedLanguage === lang && !selectedCategory ? 'active' : ''}">
                                             <i class="bi bi-collection me-2"></i> All ${sanitizeHtml(lang)} Categories
                                         </a>
                                         ${categoriesByLanguage[lang].map(cat => `
-                                            <a href="/?language=${encodeURIComponent(lang)}&category=${encodeURIComponent(cat.category)}" onclick="event.preventDefault(); filterByCategory('${lang}', '${cat.category}')" 
+                                            <a href="/?language=${encodeURIComponent(lang)}&category=${encodeURIComponent(cat.category)}" onclick="event.preventDefault(); filterByCategory(${toJsString(lang)}, ${toJsString(cat.category)})" 
                                                class="list-group-item list-group-item-action ${selectedLanguage === lang && selectedCategory === cat.category ? 'active' : ''}">
                                                 <div class="d-flex justify-content-between align-items-center">
                                                     <span class="ms-3">${sanitizeHtml(cat.category)}</span>
@@ -647,6 +716,7 @@ export function createPagination(pagination, context = 'default', options = {})
                         </button>
                     </div>
                 </div>
+                ${options.extraControls || ''}
             </div>
         </div>
     `;
@@ -654,6 +724,23 @@ export function createPagination(pagination, context = 'default', options = {})
     return paginationHTML;
 }
 
+// "Go to post #" input shown next to the thread pagination, for references
+// like "see post #347"
+export function createPostJump(threadId) {
+    return `
+        <form class="pagination-jump d-flex align-items-center gap-2"
+              onsubmit="event.preventDefault(); const val = parseInt(this.elements.postNo.value); if (val >= 1) { goToPostNumber(${threadId}, val); }">
+            <small class="text-muted">Go to post #</small>
+            <div class="input-group input-group-sm" style="width: 120px;">
+                <input type="number" class="form-control text-center" name="postNo" min="1" aria-label="Post number">
+                <button class="btn btn-outline-secondary" type="submit" title="Go to post">
+                    <i class="bi bi-arrow-right"></i>
+                </button>
+            </div>
+        </form>
+    `;
+}
+
 // Breadcrumb Component
 export function createBreadcrumb(items) {
     if (!items || items.length === 0) {
@@ -732,22 +819,320 @@ export function createStatsCards(stats) {
     `;
 }
 
+// Language Shares Component - share of all posts written in each language
+export function createLanguageStats(languages) {
+    if (!languages || languages.length === 0) return '';
+
+    return `
+        <div class="card h-100">
+            <div class="card-header">
+                <h5 class="mb-0"><i class="bi bi-globe"></i> Languages</h5>
+            </div>
+            <div class="list-group list-group-flush">
+                ${languages.map(lang => `
+                    <a href="/?language=${encodeURIComponent(lang.language)}" 
+                       onclick="event.preventDefault(); filterByLanguage(${toJsString(lang.language)})" 
+                       class="list-group-item list-group-item-action">
+                        <div class="d-flex justify-content-between mb-1">
+                            <span>${lang.flag || getLanguageFlag(lang.language)} ${sanitizeHtml(lang.language)}</span>
+                            <span class="text-muted small">${lang.percentage}%</span>
+                        </div>
+                        <div class="progress stats-bar" role="progressbar" aria-valuenow="${lang.percentage}" aria-valuemin="0" aria-valuemax="100">
+                            <div class="progress-bar" style="width: ${lang.percentage}%"></div>
+                        </div>
+                        <small class="text-muted">
+                            ${formatNumber(lang.thread_count)} threads · ${formatNumber(lang.post_count)} posts
+                        </small>
+                    </a>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Yearly Activity Component - posts per year, bars relative to the busiest year
+export function createYearlyActivity(years) {
+    if (!years || years.length === 0) return '';
+
+    return `
+        <div class="card h-100">
+            <div class="card-header">
+                <h5 class="mb-0"><i class="bi bi-calendar3"></i> Activity by Year</h5>
+            </div>
+            <div class="card-body">
+                ${years.map(year => `
+                    <div class="d-flex align-items-center mb-2">
+                        <span class="stats-year text-muted small">${year.year}</span>
+                        <div class="progress stats-bar flex-grow-1 mx-2" role="progressbar" aria-label="${year.year}" aria-valuenow="${year.post_count}">
+                            <div class="progress-bar bg-success" style="width: ${year.percentage}%"></div>
+                        </div>
+                        <span class="small text-nowrap">${formatNumber(year.post_count)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Top Categories Component - busiest categories across all languages
+export function createTopCategories(categories) {
+    if (!categories || categories.length === 0) return '';
+
+    return `
+        <div class="card h-100">
+            <div class="card-header">
+                <h5 class="mb-0"><i class="bi bi-folder"></i> Top Categories</h5>
+            </div>
+            <div class="list-group list-group-flush">
+                ${categories.map(cat => {
+                    // full_category is "Language/Category"
+                    const [language, ...rest] = cat.full_category.split('/');
+                    const category = rest.join('/');
+                    return `
+                        <a href="/?language=${encodeURIComponent(language)}&category=${encodeURIComponent(category)}" 
+                           onclick="event.preventDefault(); filterByCategory(${toJsString(language)}, ${toJsString(category)})" 
+                           class="list-group-item list-group-item-action">
+                            <div class="d-flex justify-content-between mb-1">
+                                <span>
+                                    <span class="badge bg-secondary me-1">#${cat.rank}</span>
+                                    ${getLanguageFlag(language)} ${sanitizeHtml(cat.display_category)}
+                                </span>
+                                <span class="text-muted small text-nowrap">${formatNumber(cat.post_count)} posts</span>
+                            </div>
+                            <div class="progress stats-bar" role="progressbar" aria-valuenow="${cat.percentage}" aria-valuemin="0" aria-valuemax="100">
+                                <div class="progress-bar bg-info" style="width: ${cat.percentage}%"></div>
+                            </div>
+                        </a>
+                    `;
+                }).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Leaderboard Component - most active users with medals for the top three
+export function createLeaderboard(users) {
+    if (!users || users.length === 0) return '';
+
+    return `
+        <div class="card h-100">
+            <div class="card-header">
+                <h5 class="mb-0"><i class="bi bi-trophy"></i> Most Active Users</h5>
+            </div>
+            <div class="list-group list-group-flush">
+                ${users.map(user => `
+                    <a href="/users/${user.id}" 
+                       onclick="event.preventDefault(); navigateToUser(${user.id})" 
+                       class="list-group-item list-group-item-action d-flex align-items-center">
+                        <span class="stats-rank text-center me-2">
+                            ${user.medal ? `<span class="fs-5">${user.medal}</span>` : `<span class="text-muted">#${user.rank}</span>`}
+                        </span>
+                        <span class="flex-grow-1 ${user.rank <= 3 ? 'fw-bold' : ''}">${sanitizeHtml(user.name)}</span>
+                        <span class="badge bg-primary">${formatNumber(user.post_count)} posts</span>
+                    </a>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
 // Search Results Info Component
-export function createSearchInfo(query, language, resultCount) {
+export function createSearchInfo(query, language, resultCount, filters = {}) {
     if (!query) return '';
 
+    // Filters that came from the query syntax or explicit parameters
+    const filterBadges = [
+        filters.author ? `<i class="bi bi-person"></i> ${sanitizeHtml(filters.author)}` : null,
+        filters.category ? `<i class="bi bi-folder"></i> ${sanitizeHtml(filters.category)}` : null,
+        filters.after ? `<i class="bi bi-calendar-event"></i> from ${sanitizeHtml(filters.after)}` : null,
+        filters.before ? `<i class="bi bi-calendar-x"></i> before ${sanitizeHtml(filters.before)}` : null
+    ].filter(Boolean);
+
     return `
         <div class="alert alert-info d-flex align-items-center" role="alert">
             <i class="bi bi-search me-2"></i>
             <div class="flex-grow-1">
                 Search results for: <strong>${sanitizeHtml(query)}</strong>
                 ${language ? `in <strong>${getLanguageFlag(language)} ${sanitizeHtml(language)}</strong>` : ''}
+                ${filterBadges.length > 0 ? `
+                    <div class="mt-1">
+                        ${filterBadges.map(badge => `<span class="badge bg-light text-dark border me-1">${badge}</span>`).join('')}
+                    </div>
+                ` : ''}
             </div>
             <span class="badge bg-primary">${formatNumber(resultCount)} results</span>
         </div>
     `;
 }
 
+// Search Suggestions Component - dropdown entries under the search input
+export function createSearchSuggestions(suggestions, query) {
+    const { threads = [], users = [] } = suggestions;
+    if (threads.length === 0 && users.length === 0) return '';
+    
+    let index = 0;
+    const createItem = (path, icon, label, meta = '') => `
+        <a href="${path}" class="search-suggestion d-flex align-items-center px-3 py-2 text-decoration-none text-body" 
+           role="option" id="search-suggestion-${index}" data-index="${index++}"
+           onmousedown="event.preventDefault()" onclick="event.preventDefault(); selectSearchSuggestion('${path}')">
+            <i class="bi ${icon} text-muted me-2"></i>
+            <span class="text-truncate flex-grow-1">${highlightSearchTerm(label, query.split(/\s+/))}</span>
+            ${meta ? `<small class="text-muted ms-2 text-nowrap">${meta}</small>` : ''}
+        </a>
+    `;
+    
+    return `
+        <div role="listbox">
+            ${threads.length > 0 ? `
+                <div class="search-suggestions-heading px-3 pt-2 pb-1 small text-muted text-uppercase">Threads</div>
+                ${threads.map(thread => createItem(
+                    `/threads/${thread.id}`,
+                    'bi-chat-text',
+                    thread.name,
+                    `${getLanguageFlag(thread.language)} ${sanitizeHtml(thread.category || '')}`
+                )).join('')}
+            ` : ''}
+            ${users.length > 0 ? `
+                <div class="search-suggestions-heading px-3 pt-2 pb-1 small text-muted text-uppercase">Users</div>
+                ${users.map(user => createItem(
+                    `/users/${user.id}`,
+                    'bi-person',
+                    user.name
+                )).join('')}
+            ` : ''}
+        </div>
+    `;
+}
+
+// Search Tabs Component - switch between thread and post results
+export function createSearchTabs(activeTab = 'threads') {
+    return `
+        <ul class="nav nav-tabs mb-4" role="tablist">
+            <li class="nav-item" role="presentation">
+                <a class="nav-link ${activeTab === 'threads' ? 'active' : ''}" 
+                   href="#" 
+                   onclick="event.preventDefault(); switchSearchTab('threads');"
+                   role="tab">
+                    <i class="bi bi-chat-text"></i> Threads
+                </a>
+            </li>
+            <li class="nav-item" role="presentation">
+                <a class="nav-link ${activeTab === 'posts' ? 'active' : ''}" 
+                   href="#" 
+                   onclick="event.preventDefault(); switchSearchTab('posts');"
+                   role="tab">
+                    <i class="bi bi-chat-dots"></i> Posts
+                </a>
+            </li>
+        </ul>
+    `;
+}
+
+// Post Search Results Component
+export function createPostSearchResults(posts) {
+    if (!posts || posts.length === 0) {
+        return `
+            <div class="error-state">
+                <i class="bi bi-chat-dots display-1 text-muted mb-3"></i>
+                <h4 class="text-muted">No posts found</h4>
+                <p class="text-muted">Try different search terms or remove the language filter.</p>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="card">
+            <div class="list-group list-group-flush">
+                ${posts.map(post => createPostSearchItem(post)).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Single Post Search Hit - links straight to the post inside its thread page
+export function createPostSearchItem(post) {
+    const page = post.page || 1;
+    const url = `/threads/${post.threadId}${page > 1 ? `?page=${page}` : ''}#post-${post.id}`;
+
+    return `
+        <a href="${url}" 
+           onclick="event.preventDefault(); navigateToPost(${post.threadId}, ${page}, ${post.id})" 
+           class="list-group-item list-group-item-action p-3">
+            <div class="d-flex w-100 justify-content-between">
+                <h6 class="mb-1 thread-title">${sanitizeHtml(post.threadName || 'Untitled Thread')}</h6>
+                <span class="badge bg-primary align-self-start">Post #${post.postNo || post.id}</span>
+            </div>
+            <p class="mb-2 search-excerpt">${post.excerpt || ''}</p>
+            <div class="small text-muted">
+                <i class="bi bi-person"></i> ${sanitizeHtml(post.username || 'Guest')}
+                <i class="bi bi-clock ms-2"></i> ${post.timestamp || 'Unknown time'}
+                ${post.language ? `<span class="badge bg-secondary ms-2">${getLanguageFlag(post.language)} ${sanitizeHtml(post.language)}</span>` : ''}
+                ${post.category ? `<span class="badge bg-info ms-1">${sanitizeHtml(post.category)}</span>` : ''}
+                ${page > 1 ? `<span class="ms-2">Page ${page}</span>` : ''}
+            </div>
+        </a>
+    `;
+}
+
+// Find-in-thread Component - search box shown under the thread header
+export function createThreadSearchBox(threadId, query = '') {
+    return `
+        <div class="card mb-4 thread-search">
+            <div class="card-body py-2">
+                <form class="input-group input-group-sm" role="search"
+                      onsubmit="event.preventDefault(); searchInThread(${threadId})">
+                    <span class="input-group-text"><i class="bi bi-search"></i></span>
+                    <input type="search" class="form-control" id="thread-search-input"
+                           placeholder="Find in this thread..." aria-label="Find in this thread"
+                           value="${sanitizeHtml(query)}" autocomplete="off">
+                    <button type="submit" class="btn btn-outline-primary">Find</button>
+                </form>
+                <div id="thread-search-results"></div>
+            </div>
+        </div>
+    `;
+}
+
+// Find-in-thread hits, in reading order, with paging through the hits
+export function createThreadSearchResults(posts, pagination, threadId) {
+    if (!posts || posts.length === 0) {
+        return `<p class="text-muted small mt-2 mb-0">No posts in this thread match your search.</p>`;
+    }
+
+    const firstHit = (pagination.page - 1) * pagination.limit + 1;
+    const lastHit = firstHit + posts.length - 1;
+
+    return `
+        <div class="d-flex justify-content-between align-items-center small text-muted mt-2 mb-1">
+            <span>${formatNumber(firstHit)}–${formatNumber(lastHit)} of ${formatNumber(pagination.totalPosts)} matching posts</span>
+            <span>
+                <button type="button" class="btn btn-link btn-sm p-0 me-2" ${pagination.hasPrev ? '' : 'disabled'}
+                        onclick="searchInThread(${threadId}, ${pagination.page - 1})">
+                    <i class="bi bi-chevron-left"></i> Previous
+                </button>
+                <button type="button" class="btn btn-link btn-sm p-0" ${pagination.hasNext ? '' : 'disabled'}
+                        onclick="searchInThread(${threadId}, ${pagination.page + 1})">
+                    Next <i class="bi bi-chevron-right"></i>
+                </button>
+            </span>
+        </div>
+        <div class="list-group list-group-flush thread-search-hits">
+            ${posts.map(post => `
+                <a href="/threads/${threadId}${post.page > 1 ? `?page=${post.page}` : ''}#post-${post.id}"
+                   onclick="event.preventDefault(); navigateToPost(${threadId}, ${post.page || 1}, ${post.id})"
+                   class="list-group-item list-group-item-action px-2 py-2">
+                    <div class="small text-muted">
+                        <span class="badge bg-primary me-1">#${post.postNo || post.id}</span>
+                        <i class="bi bi-person"></i> ${sanitizeHtml(post.username || 'Guest')}
+                        <i class="bi bi-file-earmark ms-2"></i> Page ${post.page || 1}
+                    </div>
+                    <div class="small search-excerpt">${post.excerpt || ''}</div>
+                </a>
+            `).join('')}
+        </div>
+    `;
+}
+
 // Category Info Component
 export function createCategoryInfo(language, category, threadCount) {
     if (!category) return '';
@@ -805,6 +1190,14 @@ export function createPageHeader(title, subtitle = null, icon = 'bi-shield-check
     `;
 }
 
+// Formats of GET /api/threads/:id/export offered in the thread header
+const THREAD_EXPORT_OPTIONS = [
+    { format: 'md', label: 'Markdown (.md)', icon: 'bi-markdown' },
+    { format: 'txt', label: 'Plain text (.txt)', icon: 'bi-file-text' },
+    { format: 'html', label: 'Web page (.html)', icon: 'bi-filetype-html' },
+    { format: 'epub', label: 'E-book (.epub)', icon: 'bi-book' }
+];
+
 // Thread Header Component
 export function createThreadHeader(thread) {
     if (!thread) return '';
@@ -820,11 +1213,11 @@ export function createThreadHeader(thread) {
                         </h2>
                         <div class="text-muted">
                             <i class="bi bi-folder"></i>
-                            <a href="#" onclick="filterByLanguage('${thread.language}')" class="text-decoration-none">
+                            <a href="#" onclick="filterByLanguage(${toJsString(thread.language)})" class="text-decoration-none">
                                 ${getLanguageFlag(thread.language)} ${sanitizeHtml(thread.language)}
                             </a>
                             ›
-                            <a href="#" onclick="filterByCategory('${thread.language}', '${thread.category}')" class="text-decoration-none">
+                            <a href="#" onclick="filterByCategory(${toJsString(thread.language)}, ${toJsString(thread.category)})" class="text-decoration-none">
                                 ${sanitizeHtml(thread.category)}
                             </a>
                         </div>
@@ -834,9 +1227,123 @@ export function createThreadHeader(thread) {
                             <i class="bi bi-chat-dots"></i>
                             ${formatNumber(thread.postCount || 0)} posts
                         </span>
+                        ${thread.participantCount > 0 ? `
+                            <button class="btn btn-sm btn-outline-secondary ms-2" type="button"
+                                    data-bs-toggle="collapse" data-bs-target="#thread-participants"
+                                    aria-expanded="false" aria-controls="thread-participants"
+                                    onclick="loadThreadParticipants(${thread.id})" title="Who posted in this thread">
+                                <i class="bi bi-people"></i> ${formatNumber(thread.participantCount)}
+                            </button>
+                        ` : ''}
+                        <div class="dropdown d-inline-block ms-2">
+                            <button class="btn btn-sm btn-outline-secondary dropdown-toggle" type="button" 
+                                    data-bs-toggle="dropdown" aria-expanded="false" title="Download this thread">
+                                <i class="bi bi-download"></i> Download
+                            </button>
+                            <ul class="dropdown-menu dropdown-menu-end">
+                                ${THREAD_EXPORT_OPTIONS.map(option => `
+                                    <li>
+                                        <a class="dropdown-item" href="/api/threads/${thread.id}/export?format=${option.format}" download>
+                                            <i class="bi ${option.icon}"></i> ${option.label}
+                                        </a>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        </div>
                     </div>
                 </div>
             </div>
+            <div class="collapse" id="thread-participants">
+                <div class="card-body" id="thread-participants-list"></div>
+            </div>
+        </div>
+    `;
+}
+
+// Participants of a thread for the collapsible panel of createThreadHeader.
+// Clicking a name shows only that user's posts in the thread.
+export function createThreadParticipants(participants, threadId, activeUserId = null) {
+    if (!participants || participants.length === 0) {
+        return `<p class="text-muted small mb-0">Only guests posted in this thread.</p>`;
+    }
+
+    const postLink = (post, label) => `
+        <a href="/posts/${post.id}" onclick="event.preventDefault(); navigateToPermalink(${post.id})"
+           class="text-decoration-none" title="${post.timestamp || ''}">${label} #${post.postNo}</a>
+    `;
+
+    return `
+        <div class="list-group list-group-flush thread-participants">
+            ${participants.map(participant => `
+                <div class="list-group-item d-flex flex-wrap justify-content-between align-items-center gap-2 px-0
+                            ${participant.userId === activeUserId ? 'active-participant' : ''}">
+                    <div>
+                        <a href="/threads/${threadId}?userId=${participant.userId}"
+                           onclick="event.preventDefault(); filterThreadByAuthor(${threadId}, ${participant.userId})"
+                           class="fw-bold text-decoration-none" title="Show only posts by ${sanitizeHtml(participant.username)}">
+                            ${sanitizeHtml(participant.username)}
+                        </a>
+                        <a href="${participant.profileUrl}" onclick="event.preventDefault(); navigateToUser(${participant.userId})"
+                           class="text-muted ms-1" title="Profile of ${sanitizeHtml(participant.username)}">
+                            <i class="bi bi-person-circle"></i>
+                        </a>
+                    </div>
+                    <div class="small text-muted">
+                        <span class="badge bg-secondary me-2">${formatNumber(participant.postCount)} posts</span>
+                        ${postLink(participant.firstPost, 'First')}
+                        ${participant.postCount > 1 ? ` · ${postLink(participant.lastPost, 'last')}` : ''}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Notice above the posts of a thread filtered down to one author
+export function createAuthorFilterNotice(threadId, username, totalPosts) {
+    return `
+        <div class="alert alert-info d-flex justify-content-between align-items-center mb-4">
+            <span>
+                <i class="bi bi-funnel"></i>
+                ${username
+                    ? `Showing ${formatNumber(totalPosts)} ${totalPosts === 1 ? 'post' : 'posts'} by <strong>${sanitizeHtml(username)}</strong>`
+                    : 'This user has no posts in this thread'}
+            </span>
+            <button type="button" class="btn btn-sm btn-outline-primary" onclick="navigateToThread(${threadId})">
+                Show all posts
+            </button>
         </div>
     `;
-}
\ No newline at end of file
+}
+
+// Previous/next thread buttons for reading a category in listing order.
+// The p and n keys click them (see handleThreadKeydown in app.js). Threads
+// outside the listings have null neighbors and get no buttons.
+export function createThreadNeighbors(neighbors) {
+    if (!neighbors || (!neighbors.previous && !neighbors.next)) return '';
+
+    const button = (thread, direction) => {
+        if (!thread) return '<span></span>';
+
+        const isNext = direction === 'next';
+        const { href, navigate } = threadLink(thread.id, neighbors.sort);
+        return `
+            <a href="${href}" id="${direction}-thread-btn"
+               onclick="event.preventDefault(); ${navigate}"
+               class="btn btn-outline-primary thread-neighbor ${isNext ? 'text-end' : 'text-start'}"
+               title="${isNext ? 'Next' : 'Previous'} thread (${isNext ? 'n' : 'p'})">
+                <small class="d-block text-muted">
+                    ${isNext ? 'Next thread <i class="bi bi-arrow-right"></i>' : '<i class="bi bi-arrow-left"></i> Previous thread'}
+                </small>
+                ${sanitizeHtml(truncateText(thread.name, 60))}
+            </a>
+        `;
+    };
+
+    return `
+        <nav class="d-flex justify-content-between gap-3 mt-4" aria-label="Threads in this category">
+            ${button(neighbors.previous, 'previous')}
+            ${button(neighbors.next, 'next')}
+        </nav>
+    `;
+}
@@ -245,6 +245,13 @@ export function setupRoutes(forumApp) {
             const threadId = parseInt(params.id);
             forumApp.loadThreadPage(threadId, params);
         }, 'thread-view')
+        .route('/posts/:id', (params) => {
+            const postId = parseInt(params.id);
+            forumApp.loadPostPermalink(postId);
+        }, 'post-permalink')
+        .route('/stats', (params) => {
+            forumApp.loadStatsPage(params);
+        }, 'stats')
 
         .route('/search', (params) => {
             forumApp.loadSearchPage(params);
@@ -262,13 +269,17 @@ export function setupNavigationFunctions() {
         router.navigate('/users', params);
     };
 
+    window.navigateToStats = () => {
+        router.navigate('/stats');
+    };
+
     window.navigateToUser = (userId, params = {}) => {
         router.navigate(`/users/${userId}`, params);
     };
 
-    window.navigateToThread = (threadId, page = 1) => {
+    window.navigateToThread = (threadId, page = 1, filters = {}) => {
         const path = `/threads/${threadId}`;
-        const params = page > 1 ? { page: page } : {};
+        const params = page > 1 ? { ...filters, page: page } : { ...filters };
         router.navigate(path, params);
     };
 
@@ -289,6 +300,67 @@ window.navigateToSearch = (params = {}) => {
     router.navigate('/search', params);
 };
 
+// Switch between the thread and post results of the current search
+window.switchSearchTab = (tab) => {
+    const currentRoute = router.getCurrentRoute();
+    const params = { ...currentRoute.params, tab };
+    delete params.page;
+    router.navigate('/search', params);
+};
+
+// Open the thread page containing a post and scroll to it
+window.navigateToPost = (threadId, page = 1, postId = null) => {
+    const params = page > 1 ? { page } : {};
+    router.navigate(`/threads/${threadId}`, params);
+    
+    if (postId) {
+        // Add the anchor without triggering another navigation
+        const url = `${window.location.pathname}${window.location.search}#post-${postId}`;
+        window.history.replaceState(window.history.state, '', url);
+    }
+};
+
+// Open a post permalink, which finds the thread page holding the post
+window.navigateToPermalink = (postId) => {
+    router.navigate(`/posts/${postId}`);
+};
+
+// Show only the posts of one participant of a thread
+window.filterThreadByAuthor = (threadId, userId) => {
+    router.navigate(`/threads/${threadId}`, { userId });
+};
+
+// Load the participants panel of the open thread
+window.loadThreadParticipants = (threadId) => {
+    window.forumApp?.loadThreadParticipants(threadId);
+};
+
+// Open the thread page holding post #postNo and scroll to it
+window.goToPostNumber = (threadId, postNo) => {
+    router.navigate(`/threads/${threadId}`, { post: postNo });
+};
+
+// Start a new random shuffle of the home page threads
+window.shuffleThreads = () => {
+    router.navigate('/', { seed: Math.floor(Math.random() * 2 ** 32) });
+};
+
+// Re-sort the home page thread list; 'random' goes back to the shuffle
+window.sortThreads = (sort) => {
+    const currentRoute = router.getCurrentRoute();
+    const newParams = { ...currentRoute.params };
+    delete newParams.page;
+    delete newParams.seed;
+    
+    if (sort === 'random') {
+        delete newParams.sort;
+    } else {
+        newParams.sort = sort;
+    }
+    
+    router.navigate('/', newParams);
+};
+
 // Pagination navigation
 window.navigateToPage = (page) => {
     const currentRoute = router.getCurrentRoute();
@@ -341,10 +413,14 @@ window.performSearch = () => {
         return;
     }
     
-    // Navigate to search page
+    // Navigate to search page. The query may carry its own filters
+    // ("siege" author:Ryll in:Deutsch after:2009-01); an in: operator
+    // replaces the language and category dropdowns.
     const params = { search: query };
-    if (language) params.language = language;
-    if (category) params.category = category;
+    if (!/(^|\s)in:/i.test(query)) {
+        if (language) params.language = language;
+        if (category) params.category = category;
+    }
     
     router.navigate('/search', params);
     
@@ -352,6 +428,17 @@ window.performSearch = () => {
     // WebSocket search tracking removed - static archive
 };
 
+// Find posts inside the open thread
+window.searchInThread = (threadId, page = 1) => {
+    window.forumApp?.searchInThread(threadId, page);
+};
+
+// Open a thread or profile picked from the search suggestions
+window.selectSearchSuggestion = (path) => {
+    window.forumApp?.hideSearchSuggestions();
+    router.navigate(path);
+};
+
 // Handle search input
 document.addEventListener('DOMContentLoaded', () => {
     const searchInput = document.getElementById('search-input');
@@ -364,9 +451,10 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 });
 
-// Copy post link function
+// Copy the permalink of a post, which keeps working when the post is on
+// another page than the one it was copied from
 window.copyPostLink = (postId) => {
-    const url = `${window.location.origin}${window.location.pathname}#${postId}`;
+    const url = `${window.location.origin}/posts/${postId}`;
     
     if (navigator.clipboard && navigator.clipboard.writeText) {
         navigator.clipboard.writeText(url).then(() => {
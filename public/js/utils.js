@@ -42,6 +42,18 @@ export function sanitizeHtml(html) {
     return div.innerHTML;
 }
 
+// JavaScript string literal of a value for an inline event handler, e.g.
+// onclick="filterByCategory(${toJsString(language)}, ...)". Quotes in names
+// like "Players' Corner" can end neither the string nor the attribute.
+export function toJsString(value) {
+    return JSON.stringify(String(value))
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
 // Truncate text
 export function truncateText(text, length = 100) {
     if (!text) return '';
@@ -71,6 +83,9 @@ export function showLoading(containerId) {
     const container = document.getElementById(containerId);
     if (!container) return;
     
+    // Keep the server-rendered page on screen until it is rendered over
+    if (container.querySelector(':scope > [data-ssr]')) return;
+    
     container.innerHTML = `
         <div class="text-center p-5">
             <div class="spinner-border text-primary" role="status">
@@ -148,6 +163,7 @@ export function updateUrl(path, params = {}) {
     const url = new URL(window.location);
     url.pathname = path;
     url.search = '';
+    url.hash = '';
     
     Object.entries(params).forEach(([key, value]) => {
         if (value !== null && value !== undefined && value !== '') {
@@ -166,12 +182,21 @@ export function scrollToTop() {
     });
 }
 
-// Highlight search terms in text
+// Highlight search terms (a single term or a list of terms) in plain text,
+// returned as HTML. Terms are matched on the raw text and every segment is
+// escaped afterwards, so a term never matches inside an entity.
 export function highlightSearchTerm(text, searchTerm) {
-    if (!text || !searchTerm) return text;
+    if (!text) return '';
+    
+    const terms = (Array.isArray(searchTerm) ? searchTerm : [searchTerm])
+        .filter(term => term && term.trim());
+    if (terms.length === 0) return sanitizeHtml(text);
     
-    const regex = new RegExp(`(${escapeRegex(searchTerm)})`, 'gi');
-    return text.replace(regex, '<mark>$1</mark>');
+    // Splitting on a capturing group puts the matches at the odd indexes
+    const regex = new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi');
+    return String(text).split(regex)
+        .map((segment, index) => index % 2 === 1 ? `<mark>${sanitizeHtml(segment)}</mark>` : sanitizeHtml(segment))
+        .join('');
 }
 
 // Escape regex special characters
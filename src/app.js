@@ -11,6 +11,15 @@ import { fileURLToPath } from 'url';
 import threadsRouter from './routes/threads.js';
 import usersRouter from './routes/users.js';
 import statsRouter from './routes/stats.js';
+import postsRouter from './routes/posts.js';
+import suggestRouter from './routes/suggest.js';
+import exportRouter from './routes/export.js';
+import openapiRouter from './routes/openapi.js';
+import graphqlRouter from './routes/graphql.js';
+import sitemapRouter from './routes/sitemap.js';
+import pagesRouter from './routes/pages.js';
+import db from './models/database.js';
+import { injectMetadata } from './utils/render.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -53,13 +62,21 @@ if (process.env.NODE_ENV !== 'test') {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Serve static files
-app.use(express.static(path.join(__dirname, '../public')));
+// Serve static files. index.html is only served through the page routes
+// below, which fill it in.
+app.use(express.static(path.join(__dirname, '../public'), { index: false }));
 
 // API Routes
 app.use('/api/threads', threadsRouter);
 app.use('/api/users', usersRouter);
 app.use('/api/stats', statsRouter);
+app.use('/api/posts', postsRouter);
+app.use('/api/suggest', suggestRouter);
+app.use('/api/export', exportRouter);
+app.use('/api/graphql', graphqlRouter);
+
+// OpenAPI specification and explorer
+app.use('/api', openapiRouter);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -70,73 +87,11 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Sitemap.xml for search engines
-app.get('/sitemap.xml', async (req, res) => {
-  try {
-    res.setHeader('Content-Type', 'application/xml');
-    
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const today = new Date().toISOString().split('T')[0];
-    
-    let sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-  <url>
-    <loc>${baseUrl}/</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>daily</changefreq>
-    <priority>1.0</priority>
-  </url>
-  <url>
-    <loc>${baseUrl}/users</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>weekly</changefreq>
-    <priority>0.8</priority>
-  </url>
-  <url>
-    <loc>${baseUrl}/stats</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>weekly</changefreq>
-    <priority>0.7</priority>
-  </url>`;
-    
-    // Add language-specific pages
-    const languages = ['Español', 'English', 'Português', 'Deutsch', 'Français', 'Italiano'];
-    languages.forEach(lang => {
-      sitemap += `
-  <url>
-    <loc>${baseUrl}/?language=${encodeURIComponent(lang)}</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>weekly</changefreq>
-    <priority>0.9</priority>
-  </url>`;
-    });
-    
-    // Add thread URLs (sample for top threads)
-    try {
-      // This would need to be implemented based on your database structure
-      // For now, we'll add a placeholder structure
-      for (let i = 1; i <= 50; i++) {
-        sitemap += `
-  <url>
-    <loc>${baseUrl}/threads/${i}</loc>
-    <lastmod>${today}</lastmod>
-    <changefreq>monthly</changefreq>
-    <priority>0.6</priority>
-  </url>`;
-      }
-    } catch (error) {
-      console.warn('Could not generate thread URLs for sitemap:', error);
-    }
-    
-    sitemap += `
-</urlset>`;
-    
-    res.send(sitemap);
-  } catch (error) {
-    console.error('Error generating sitemap:', error);
-    res.status(500).send('Error generating sitemap');
-  }
-});
+// Sitemap index and chunked sitemaps for search engines
+app.use(sitemapRouter);
+
+// Server-rendered thread, profile and listing pages
+app.use(pagesRouter);
 
 // Robots.txt for search engines
 app.get('/robots.txt', (req, res) => {
@@ -162,94 +117,51 @@ app.get('*', async (req, res) => {
       let keywords = 'Regnum Online, Champions of Regnum, forum archive, gaming community, discussions, threads, posts';
       let canonicalUrl = req.originalUrl;
       
-      // Generate specific metadata based on route
-      if (req.path.includes('/threads/')) {
-        const threadId = req.path.split('/threads/')[1];
-        if (threadId && !isNaN(threadId)) {
-          title = `Thread ${threadId} - Regnum Online Forum Archive`;
-          description = `Discussion thread from the Champions of Regnum community forum archive. Browse posts and conversations from the gaming community.`;
-          keywords += `, thread ${threadId}, discussion, posts, conversation`;
-        }
-      } else if (req.path.includes('/users')) {
-        title = 'Community Members - Regnum Online Forum Archive';
+      // Generate specific metadata based on route. Threads, profiles and
+      // listings are rendered by the page routes.
+      if (req.path.includes('/users')) {
+        title = 'Community Members';
         description = 'Browse the Champions of Regnum community members and their forum participation. View user profiles and contribution statistics.';
         keywords += ', users, members, community, profiles';
       } else if (req.path.includes('/stats')) {
-        title = 'Forum Statistics - Regnum Online Forum Archive';
+        title = 'Forum Statistics';
         description = 'Champions of Regnum forum archive statistics including post counts, active users, languages, and community analytics.';
         keywords += ', statistics, analytics, forum stats, data, metrics';
       } else if (req.query.language) {
         const language = req.query.language;
-        title = `${language} Discussions - Regnum Online Forum Archive`;
+        title = `${language} Discussions`;
         description = `Browse ${language} discussions and threads from the Champions of Regnum community. Find posts in ${language} language.`;
         keywords += `, ${language}, language, discussions, threads`;
         canonicalUrl = `/?language=${encodeURIComponent(language)}`;
         
         if (req.query.category) {
           const category = req.query.category;
-          title = `${category} (${language}) - Regnum Online Forum Archive`;
+          title = `${category} (${language})`;
           description = `Browse ${category} discussions in ${language} from the Champions of Regnum community.`;
           keywords += `, ${category}, category`;
           canonicalUrl = `/?language=${encodeURIComponent(language)}&category=${encodeURIComponent(category)}`;
         }
       }
       
-      // Read the main HTML file and inject metadata
+      // Read the main HTML file and inject metadata and structured data
       const fs = await import('fs');
-      let html = fs.readFileSync(path.join(__dirname, '../public/index.html'), 'utf8');
-      
-      // Replace title
-      html = html.replace(/<title>.*?<\/title>/i, `<title>${title}</title>`);
-      
-      // Update meta description
-      html = html.replace(
-        /<meta name="description" content="[^"]*">/i, 
-        `<meta name="description" content="${description}">`
-      );
-      
-      // Update keywords
-      html = html.replace(
-        /<meta name="keywords" content="[^"]*">/i, 
-        `<meta name="keywords" content="${keywords}">`
-      );
-      
-      // Update canonical URL
-      html = html.replace(
-        /<link rel="canonical" href="[^"]*">/i, 
-        `<link rel="canonical" href="${canonicalUrl}">`
-      );
-      
-      // Update Open Graph tags
-      html = html.replace(
-        /<meta property="og:title" content="[^"]*">/i, 
-        `<meta property="og:title" content="${title}">`
-      );
-      html = html.replace(
-        /<meta property="og:description" content="[^"]*">/i, 
-        `<meta property="og:description" content="${description}">`
-      );
-      html = html.replace(
-        /<meta property="og:url" content="[^"]*">/i, 
-        `<meta property="og:url" content="${canonicalUrl}">`
-      );
-      
-      // Add structured data for better SEO
-      const structuredData = {
-        "@context": "https://schema.org",
-        "@type": "WebSite",
-        "name": "Regnum Online Forum Archive",
-        "description": description,
-        "url": `${req.protocol}://${req.get('host')}`,
-        "potentialAction": {
-          "@type": "SearchAction",
-          "target": `${req.protocol}://${req.get('host')}/?search={search_term_string}`,
-          "query-input": "required name=search_term_string"
+      const html = injectMetadata(fs.readFileSync(path.join(__dirname, '../public/index.html'), 'utf8'), {
+        title,
+        description,
+        keywords,
+        canonicalUrl,
+        structuredData: {
+          "@type": "WebSite",
+          "name": "Regnum Online Forum Archive",
+          "description": description,
+          "url": `${req.protocol}://${req.get('host')}`,
+          "potentialAction": {
+            "@type": "SearchAction",
+            "target": `${req.protocol}://${req.get('host')}/?search={search_term_string}`,
+            "query-input": "required name=search_term_string"
+          }
         }
-      };
-      
-      // Insert structured data before closing head tag
-      const structuredDataScript = `<script type="application/ld+json">${JSON.stringify(structuredData)}</script>`;
-      html = html.replace('</head>', `${structuredDataScript}\n</head>`);
+      });
       
       res.send(html);
     } catch (error) {
@@ -276,7 +188,10 @@ app.use('/api/*', (req, res) => {
   res.status(404).json({ error: 'API endpoint not found' });
 });
 
-// Start server
+// Start server once the database and its index are attached, so the first
+// requests already know whether search is available
+await db.ready;
+
 app.listen(PORT, () => {
   console.log(`🚀 Regnum Forum Archive server running on port ${PORT}`);
   console.log(`📱 Environment: ${process.env.NODE_ENV || 'development'}`);
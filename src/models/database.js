@@ -1,13 +1,78 @@
 import sqlite3 from 'sqlite3';
+import fs from 'fs';
 import { promisify } from 'util';
+import { EXCERPT_MARK_START, EXCERPT_MARK_END, buildFtsPrefixQuery } from '../utils/search.js';
+import { INDEX_VERSION, getIndexDbPath } from '../utils/index-db.js';
+import { createSeededPermutation, getLanguageFromPath, getCategoryFromPath } from '../utils/helpers.js';
 
 // Enable verbose mode for debugging
 sqlite3.verbose();
 
+// Epoch seconds of a "DD-MM-YYYY, hh:mm AM" timestamp column, parsed in SQL.
+// Only used when the index (with its post_times table) is not attached.
+function parseTimestampSql(column) {
+  return `CAST(strftime('%s', 
+    SUBSTR(${column}, 7, 4) || '-' || SUBSTR(${column}, 4, 2) || '-' || SUBSTR(${column}, 1, 2) || ' ' ||
+    printf('%02d', CAST(SUBSTR(${column}, 13, 2) AS INTEGER) % 12 + (SUBSTR(${column}, 19, 2) = 'PM') * 12) || ':' ||
+    SUBSTR(${column}, 16, 2)
+  ) AS INTEGER)`;
+}
+
+// ORDER BY clauses for the thread listing sorts (`sort=` on /api/threads).
+// Ties fall back to the newest thread id so paging stays stable.
+const THREAD_SORT_ORDERS = {
+  latest: 'last_post_at DESC NULLS LAST',
+  replies: 'post_count DESC',
+  participants: 'participant_count DESC',
+  oldest: 'created_at ASC NULLS LAST',
+  newest: 'created_at DESC NULLS LAST',
+  alphabetical: 't.name COLLATE NOCASE ASC'
+};
+
+export const THREAD_SORTS = Object.keys(THREAD_SORT_ORDERS);
+
+// Sorts of THREAD_SORT_ORDERS listing the smallest key first
+const ASCENDING_THREAD_SORTS = ['oldest', 'alphabetical'];
+
+// Epoch seconds for a YYYY-MM-DD search date
+function searchDateToEpoch(date) {
+  return Date.parse(`${date}T00:00:00Z`) / 1000;
+}
+
+// Whether a search without text to match (author:, in:, ... only) lists
+// everything passing its filters. Without any filter it finds nothing.
+function isFilterSearch(filters) {
+  return !filters.matchQuery && Boolean(filters.threadId || filters.author || filters.language ||
+    filters.category || filters.after || filters.before || hasExcludedAuthors(filters));
+}
+
+function hasExcludedAuthors(filters) {
+  return Boolean(filters.excludedAuthors && filters.excludedAuthors.length > 0);
+}
+
+// Subquery listing the ids of the users a search leaves out (-author:name)
+function excludedAuthorIdsSql(filters, params) {
+  params.push(...filters.excludedAuthors);
+  return `SELECT id FROM users WHERE name COLLATE NOCASE IN (${filters.excludedAuthors.map(() => '?').join(', ')})`;
+}
+
+// Length of the post excerpts of filter-only searches
+const FILTER_EXCERPT_LENGTH = 200;
+
+// Thread id lists kept for random listings; the least recently used one is
+// dropped beyond this, as any language/category pair can be requested
+const THREAD_ID_CACHE_SIZE = 32;
+
 class Database {
   constructor() {
     this.db = null;
     this.dbPath = process.env.DB_PATH || '/var/lib/sqlite/regnumforum.db';
+    // Sidecar database built by `npm run build:index` (search index etc.)
+    this.indexPath = getIndexDbPath(this.dbPath);
+    this.hasIndex = false;
+    // Thread ids per language/category filter, used by random listings,
+    // in least recently used order
+    this.threadIdCache = new Map();
   }
 
   async connect() {
@@ -29,9 +94,36 @@ class Database {
           this.db.run('PRAGMA mmap_size=268435456'); // 256MB
           this.db.run('PRAGMA read_uncommitted=ON');
           this.db.run('PRAGMA synchronous=OFF');
+          
+          // Attach the prebuilt index database if it exists
+          if (fs.existsSync(this.indexPath)) {
+            this.db.run('ATTACH DATABASE ? AS idx', [this.indexPath], (attachErr) => {
+              if (attachErr) {
+                console.error('Failed to attach index database:', attachErr.message);
+                return;
+              }
+            });
+            
+            // Ignore an index built before the tables we query existed.
+            // Resolves once hasIndex is known.
+            this.db.get('PRAGMA idx.user_version', (versionErr, row) => {
+              if (versionErr) return resolve();
+              
+              if (row.user_version < INDEX_VERSION) {
+                this.db.run('DETACH DATABASE idx');
+                console.warn(`⚠️  Index database at ${this.indexPath} is outdated - run "npm run build:index" again`);
+                return resolve();
+              }
+              
+              this.hasIndex = true;
+              console.log('🔎 Attached index database');
+              resolve();
+            });
+          } else {
+            console.warn(`⚠️  Index database not found at ${this.indexPath} - run "npm run build:index" to enable search`);
+            resolve();
+          }
         });
-        
-        resolve();
       });
     });
   }
@@ -147,130 +239,747 @@ class Database {
     return this.all(sql);
   }
 
-  // Get threads with pagination and filtering
-  async getThreads(language = null, category = null, limit = 50, offset = 0) {
+  // Epoch seconds when the post aliased as `alias` was written, looked up in
+  // the normalized post_times table when the index is attached
+  postedAtSql(alias = 'p') {
+    if (this.hasIndex) {
+      return `(SELECT posted_at FROM idx.post_times WHERE post_id = ${alias}.id)`;
+    }
+    
+    return parseTimestampSql(`${alias}.timestamp`);
+  }
+
+  // Columns with a thread's post and participant counts, first and last post.
+  // They come from the prebuilt thread_summary table (joined as `s` by
+  // threadSummaryJoin) when the index is attached and are computed per row
+  // otherwise.
+  threadSummaryColumns(alias = 't') {
+    if (this.hasIndex) {
+      return `
+        COALESCE(s.post_count, 0) as post_count,
+        COALESCE(s.participant_count, 0) as participant_count,
+        s.last_poster,
+        s.last_post_at,
+        s.created_at,
+        s.thread_creator
+      `;
+    }
+    
+    return `
+        (SELECT COUNT(*) FROM posts WHERE thread_id = ${alias}.id) as post_count,
+        (SELECT COUNT(DISTINCT user_id) FROM posts 
+         WHERE thread_id = ${alias}.id AND user_id > 0) as participant_count,
+        (SELECT u.name FROM posts p JOIN users u ON p.user_id = u.id 
+         WHERE p.thread_id = ${alias}.id ORDER BY ${this.postedAtSql('p')} DESC LIMIT 1) as last_poster,
+        (SELECT MAX(${this.postedAtSql('p')}) FROM posts p WHERE p.thread_id = ${alias}.id) as last_post_at,
+        (SELECT MIN(${this.postedAtSql('p')}) FROM posts p WHERE p.thread_id = ${alias}.id) as created_at,
+        (SELECT u.name FROM posts p JOIN users u ON p.user_id = u.id 
+         WHERE p.thread_id = ${alias}.id ORDER BY p.post_no ASC LIMIT 1) as thread_creator
+    `;
+  }
+
+  threadSummaryJoin(alias = 't') {
+    return this.hasIndex ? `LEFT JOIN idx.thread_summary s ON s.thread_id = ${alias}.id` : '';
+  }
+
+  // Language and category filters for thread listings
+  threadListConditions(language, category, params) {
+    let sql = '';
+    
+    if (language) {
+      sql += this.hasIndex ? ' AND s.language = ?' : ' AND t.path LIKE ?';
+      params.push(this.hasIndex ? language : `%/${language}/%`);
+    }
+    
+    if (category) {
+      sql += this.hasIndex ? ' AND s.category = ?' : ' AND t.path LIKE ?';
+      params.push(this.hasIndex ? category : `%/${category}`);
+    }
+    
+    return sql;
+  }
+
+  // Get threads with pagination and filtering, ordered by one of THREAD_SORTS
+  async getThreads(language = null, category = null, limit = 50, offset = 0, sort = 'latest') {
     let sql = `
       SELECT 
         t.id, 
         t.name, 
         t.path,
-        (SELECT COUNT(*) FROM posts WHERE thread_id = t.id) as post_count,
-        (SELECT u.name FROM posts p JOIN users u ON p.user_id = u.id 
-         WHERE p.thread_id = t.id ORDER BY p.timestamp DESC LIMIT 1) as last_poster,
-        (SELECT MAX(timestamp) FROM posts WHERE thread_id = t.id) as last_post_time,
-        (SELECT MIN(timestamp) FROM posts WHERE thread_id = t.id) as created_time,
-        (SELECT u.name FROM posts p JOIN users u ON p.user_id = u.id 
-         WHERE p.thread_id = t.id ORDER BY p.post_no ASC LIMIT 1) as thread_creator
+        ${this.threadSummaryColumns()}
       FROM threads t
+      ${this.threadSummaryJoin()}
       WHERE 1=1
     `;
     
     const params = [];
     
-    if (language) {
-      sql += ' AND t.path LIKE ?';
-      params.push(`%/${language}/%`);
+    sql += this.threadListConditions(language, category, params);
+    sql += ` ORDER BY ${THREAD_SORT_ORDERS[sort] || THREAD_SORT_ORDERS.latest}, t.id DESC LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
+    
+    return this.all(sql, params);
+  }
+
+  // Ids of all threads matching a language/category filter. The archive
+  // never changes, so the THREAD_ID_CACHE_SIZE most recently used lists
+  // are kept.
+  getThreadIds(language = null, category = null) {
+    const key = `${language || ''}/${category || ''}`;
+    const cached = this.threadIdCache.get(key);
+    
+    if (cached) {
+      this.threadIdCache.delete(key);
+      this.threadIdCache.set(key, cached);
+      return cached;
     }
     
-    if (category) {
-      sql += ' AND t.path LIKE ?';
-      params.push(`%/${category}`);
+    const params = [];
+    const sql = `
+      SELECT t.id
+      FROM threads t
+      ${this.threadSummaryJoin()}
+      WHERE 1=1 ${this.threadListConditions(language, category, params)}
+      ORDER BY t.id
+    `;
+    
+    const ids = this.all(sql, params).then(rows => rows.map(row => row.id));
+    ids.catch(() => {
+      if (this.threadIdCache.get(key) === ids) {
+        this.threadIdCache.delete(key);
+      }
+    });
+    this.threadIdCache.set(key, ids);
+    
+    if (this.threadIdCache.size > THREAD_ID_CACHE_SIZE) {
+      this.threadIdCache.delete(this.threadIdCache.keys().next().value);
     }
     
-    sql += ' ORDER BY last_post_time DESC NULLS LAST LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+    return ids;
+  }
+
+  // Get a page of threads in a random order fixed by `seed`, so the same
+  // seed always lists the same threads on the same pages
+  async getRandomThreads(language = null, category = null, limit = 50, offset = 0, seed = 0) {
+    const ids = await this.getThreadIds(language, category);
+    if (offset >= ids.length) {
+      return [];
+    }
     
-    return this.all(sql, params);
+    const permutation = createSeededPermutation(ids.length, seed);
+    const pageIds = [];
+    for (let i = offset; i < Math.min(offset + limit, ids.length); i++) {
+      pageIds.push(ids[permutation(i)]);
+    }
+    
+    const sql = `
+      SELECT 
+        t.id, 
+        t.name, 
+        t.path,
+        ${this.threadSummaryColumns()}
+      FROM threads t
+      ${this.threadSummaryJoin()}
+      WHERE t.id IN (${pageIds.map(() => '?').join(', ')})
+    `;
+    
+    const threads = await this.all(sql, pageIds);
+    const position = new Map(pageIds.map((id, index) => [id, index]));
+    return threads.sort((a, b) => position.get(a.id) - position.get(b.id));
   }
 
   // Get a single thread
   async getThread(threadId) {
-    const sql = 'SELECT * FROM threads WHERE id = ?';
+    const sql = `
+      SELECT t.*, ${this.threadSummaryColumns()}
+      FROM threads t
+      ${this.threadSummaryJoin()}
+      WHERE t.id = ?
+    `;
     return this.get(sql, [threadId]);
   }
 
-  // Get posts for a thread with pagination
-  async getPosts(threadId, limit = 20, offset = 0) {
-    const sql = `
-      SELECT p.*, u.name as username
+  // Key a thread listing sort orders by (see THREAD_SORT_ORDERS). Without
+  // the index only this value is computed per thread, not all of
+  // threadSummaryColumns.
+  threadSortKeySql(sort, alias = 't') {
+    if (sort === 'alphabetical') {
+      return `${alias}.name COLLATE NOCASE`;
+    }
+    
+    if (this.hasIndex) {
+      return {
+        latest: 's.last_post_at',
+        replies: 'COALESCE(s.post_count, 0)',
+        participants: 'COALESCE(s.participant_count, 0)',
+        oldest: 's.created_at',
+        newest: 's.created_at'
+      }[sort];
+    }
+    
+    const postedAt = this.postedAtSql('p');
+    return {
+      latest: `(SELECT MAX(${postedAt}) FROM posts p WHERE p.thread_id = ${alias}.id)`,
+      replies: `(SELECT COUNT(*) FROM posts WHERE thread_id = ${alias}.id)`,
+      participants: `(SELECT COUNT(DISTINCT user_id) FROM posts WHERE thread_id = ${alias}.id AND user_id > 0)`,
+      oldest: `(SELECT MIN(${postedAt}) FROM posts p WHERE p.thread_id = ${alias}.id)`,
+      newest: `(SELECT MIN(${postedAt}) FROM posts p WHERE p.thread_id = ${alias}.id)`
+    }[sort];
+  }
+
+  // Threads listed right before and after a thread in its language and
+  // category under one of THREAD_SORTS, as { previous, next } with the id
+  // and name of each (null at either end of the listing). Each one comes
+  // from a keyset query starting at the thread's sort key, in the listing
+  // order: missing keys last, ties by the newest id.
+  async getThreadNeighbors(threadId, language, category, sort = 'latest') {
+    const key = this.threadSortKeySql(sort);
+    const current = await this.get(
+      `SELECT ${key} as sort_key FROM threads t ${this.threadSummaryJoin()} WHERE t.id = ?`, [threadId]);
+    if (!current) {
+      return { previous: null, next: null };
+    }
+    
+    const ascending = ASCENDING_THREAD_SORTS.includes(sort);
+    const listingOrder = `${key} ${ascending ? 'ASC' : 'DESC'} NULLS LAST, t.id DESC`;
+    const reverseOrder = `${key} ${ascending ? 'DESC' : 'ASC'} NULLS FIRST, t.id ASC`;
+    
+    const findNeighbor = (condition, conditionParams, order) => {
+      const params = [];
+      const sql = `
+        SELECT t.id, t.name
+        FROM threads t
+        ${this.threadSummaryJoin()}
+        WHERE 1=1 ${this.threadListConditions(language, category, params)} AND ${condition}
+        ORDER BY ${order}
+        LIMIT 1
+      `;
+      return this.get(sql, [...params, ...conditionParams]);
+    };
+    
+    const value = current.sort_key;
+    const [previous, next] = await Promise.all(value === null ? [
+      findNeighbor(`(${key} IS NOT NULL OR t.id > ?)`, [threadId], reverseOrder),
+      findNeighbor(`${key} IS NULL AND t.id < ?`, [threadId], listingOrder)
+    ] : [
+      findNeighbor(`(${key} ${ascending ? '<' : '>'} ? OR (${key} = ? AND t.id > ?))`,
+        [value, value, threadId], reverseOrder),
+      findNeighbor(`(${key} ${ascending ? '>' : '<'} ? OR (${key} = ? AND t.id < ?) OR ${key} IS NULL)`,
+        [value, value, threadId], listingOrder)
+    ]);
+    
+    return { previous: previous || null, next: next || null };
+  }
+
+  // Get posts for a thread with pagination. With a cursor ({ postNo } of
+  // the last post of the previous page) the page starts after that post
+  // instead of at offset. With userId only that user's posts are listed.
+  async getPosts(threadId, limit = 20, offset = 0, cursor = null, userId = null) {
+    const params = [threadId];
+    let sql = `
+      SELECT p.*, u.name as username, ${this.postedAtSql('p')} as posted_at
       FROM posts p
       LEFT JOIN users u ON p.user_id = u.id
       WHERE p.thread_id = ?
-      ORDER BY p.post_no ASC
-      LIMIT ? OFFSET ?
     `;
     
-    return this.all(sql, [threadId, limit, offset]);
+    if (userId !== null) {
+      sql += ' AND p.user_id = ?';
+      params.push(userId);
+    }
+    
+    if (cursor) {
+      sql += ' AND p.post_no > ?';
+      params.push(cursor.postNo);
+    }
+    
+    sql += ' ORDER BY p.post_no ASC LIMIT ? OFFSET ?';
+    params.push(limit, cursor ? 0 : offset);
+    
+    return this.all(sql, params);
+  }
+
+  // Post matching `where` with the page of its thread it appears on, for a
+  // thread view of pageSize posts per page
+  async getPostWithPage(where, params, pageSize) {
+    const sql = `
+      SELECT 
+        p.*,
+        u.name as username,
+        ${this.postedAtSql('p')} as posted_at,
+        (SELECT COUNT(*) FROM posts p2 
+         WHERE p2.thread_id = p.thread_id AND p2.post_no < p.post_no) / ? + 1 as page
+      FROM posts p
+      LEFT JOIN users u ON p.user_id = u.id
+      WHERE ${where}
+    `;
+    
+    return this.get(sql, [pageSize, ...params]);
+  }
+
+  // Get a single post with its page (see getPostWithPage)
+  async getPost(postId, pageSize = 20) {
+    return this.getPostWithPage('p.id = ?', [postId], pageSize);
+  }
+
+  // Get the post with number postNo of a thread with its page, e.g. for
+  // "see post #347"
+  async getPostByNumber(threadId, postNo, pageSize = 20) {
+    return this.getPostWithPage('p.thread_id = ? AND p.post_no = ?', [threadId, postNo], pageSize);
   }
 
-  // Get post count for a thread
-  async getPostCount(threadId) {
-    const sql = 'SELECT COUNT(*) as count FROM posts WHERE thread_id = ?';
-    const result = await this.get(sql, [threadId]);
+  // Get post count for a thread, or of one user's posts in it
+  async getPostCount(threadId, userId = null) {
+    const sql = userId !== null
+      ? 'SELECT COUNT(*) as count FROM posts WHERE thread_id = ? AND user_id = ?'
+      : 'SELECT COUNT(*) as count FROM posts WHERE thread_id = ?';
+    const result = await this.get(sql, userId !== null ? [threadId, userId] : [threadId]);
     return result ? result.count : 0;
   }
 
+  // Registered users who posted in a thread with their post count and their
+  // first and last post there, most posts first
+  async getThreadParticipants(threadId) {
+    const sql = `
+      SELECT 
+        g.user_id,
+        u.name as username,
+        g.post_count,
+        f.id as first_post_id,
+        f.post_no as first_post_no,
+        ${this.postedAtSql('f')} as first_post_at,
+        l.id as last_post_id,
+        l.post_no as last_post_no,
+        ${this.postedAtSql('l')} as last_post_at
+      FROM (
+        SELECT user_id, COUNT(*) as post_count, MIN(post_no) as first_post_no, MAX(post_no) as last_post_no
+        FROM posts
+        WHERE thread_id = ? AND user_id > 0
+        GROUP BY user_id
+      ) g
+      JOIN users u ON u.id = g.user_id
+      JOIN posts f ON f.thread_id = ? AND f.post_no = g.first_post_no
+      JOIN posts l ON l.thread_id = ? AND l.post_no = g.last_post_no
+      ORDER BY g.post_count DESC, g.first_post_no ASC
+    `;
+    
+    return this.all(sql, [threadId, threadId, threadId]);
+  }
+
+  // Batch lookups for the GraphQL loaders, which collect the ids requested
+  // while a query resolves. Rows come back in no particular order.
+
+  async getThreadsByIds(threadIds) {
+    if (threadIds.length === 0) return [];
+
+    const sql = `
+      SELECT
+        t.id,
+        t.name,
+        t.path,
+        ${this.threadSummaryColumns()}
+      FROM threads t
+      ${this.threadSummaryJoin()}
+      WHERE t.id IN (${threadIds.map(() => '?').join(', ')})
+    `;
+
+    return this.all(sql, threadIds);
+  }
+
+  // The same page of posts (in thread order) of each thread
+  async getPostsByThreadIds(threadIds, limit = 20, offset = 0) {
+    if (threadIds.length === 0) return [];
+
+    const sql = `
+      SELECT p.*, u.name as username, ${this.postedAtSql('p')} as posted_at
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY thread_id ORDER BY post_no) as position
+        FROM posts
+        WHERE thread_id IN (${threadIds.map(() => '?').join(', ')})
+      ) r
+      INNER JOIN posts p ON p.id = r.id
+      LEFT JOIN users u ON p.user_id = u.id
+      WHERE r.position > ? AND r.position <= ?
+      ORDER BY p.thread_id, p.post_no
+    `;
+
+    return this.all(sql, [...threadIds, offset, offset + limit]);
+  }
+
+  // Users with the same statistics as getUserList; users without posts are
+  // included with zero counts
+  async getUsersByIds(userIds) {
+    if (userIds.length === 0) return [];
+
+    const sql = `
+      SELECT u.id, u.name,
+        COUNT(DISTINCT p.thread_id) as thread_count,
+        COUNT(p.id) as post_count,
+        MIN(${this.postedAtSql('p')}) as first_post,
+        MAX(${this.postedAtSql('p')}) as last_post
+      FROM users u
+      LEFT JOIN posts p ON u.id = p.user_id
+      WHERE u.id IN (${userIds.map(() => '?').join(', ')})
+      GROUP BY u.id, u.name
+    `;
+
+    return this.all(sql, userIds);
+  }
+
   // Get thread count for pagination
   async getThreadCount(language = null, category = null) {
-    let sql = 'SELECT COUNT(*) as count FROM threads t WHERE 1=1';
+    let sql = `SELECT COUNT(*) as count FROM threads t ${this.threadSummaryJoin()} WHERE 1=1`;
     const params = [];
     
-    if (language) {
-      sql += ' AND t.path LIKE ?';
-      params.push(`%/${language}/%`);
+    sql += this.threadListConditions(language, category, params);
+    
+    const result = await this.get(sql, params);
+    return result ? result.count : 0;
+  }
+
+  // Throw a descriptive error when a query needs the sidecar index
+  requireIndex() {
+    if (!this.hasIndex) {
+      const error = new Error('Search index is not available. Run "npm run build:index" first.');
+      error.status = 503;
+      throw error;
     }
+  }
+
+  // Conditions on the thread of a search hit (language and category)
+  searchThreadConditions(filters, params, alias = 't') {
+    let sql = '';
     
-    if (category) {
-      sql += ' AND t.path LIKE ?';
-      params.push(`%/${category}`);
+    if (filters.language) {
+      sql += ` AND ${alias}.path LIKE ?`;
+      params.push(`%/${filters.language}/%`);
+    }
+    
+    if (filters.category) {
+      sql += ` AND ${alias}.path LIKE ?`;
+      params.push(`%/${filters.category}`);
+    }
+    
+    return sql;
+  }
+
+  // Threads a thread search leaves out as a whole: those with a title or
+  // post containing excluded text, or with a post by an excluded author
+  searchThreadExclusions(filters, params, alias = 't') {
+    let sql = '';
+    
+    if (filters.excludeQuery) {
+      sql += ` AND ${alias}.id NOT IN (SELECT rowid FROM idx.threads_fts WHERE threads_fts MATCH ?)`;
+      sql += ` AND ${alias}.id NOT IN (SELECT thread_id FROM idx.posts_fts WHERE posts_fts MATCH ?)`;
+      params.push(filters.excludeQuery, filters.excludeQuery);
+    }
+    
+    if (hasExcludedAuthors(filters)) {
+      sql += ` AND ${alias}.id NOT IN (
+        SELECT thread_id FROM idx.post_times WHERE user_id IN (${excludedAuthorIdsSql(filters, params)})
+      )`;
+    }
+    
+    return sql;
+  }
+
+  // Conditions on single posts of a post search: none by an excluded author
+  searchPostExclusions(filters, params, alias = 'p') {
+    if (!hasExcludedAuthors(filters)) {
+      return '';
+    }
+    
+    return ` AND ${alias}.user_id NOT IN (${excludedAuthorIdsSql(filters, params)})`;
+  }
+
+  // Conditions on a matching post (author and date range)
+  searchPostConditions(filters, params, alias = 'p') {
+    let sql = '';
+    
+    if (filters.threadId) {
+      sql += ` AND ${alias}.thread_id = ?`;
+      params.push(filters.threadId);
+    }
+    
+    if (filters.author) {
+      sql += ` AND ${alias}.user_id IN (SELECT id FROM users WHERE name = ? COLLATE NOCASE)`;
+      params.push(filters.author);
+    }
+    
+    if (filters.after) {
+      sql += ` AND ${this.postedAtSql(alias)} >= ?`;
+      params.push(searchDateToEpoch(filters.after));
     }
     
+    if (filters.before) {
+      sql += ` AND ${this.postedAtSql(alias)} < ?`;
+      params.push(searchDateToEpoch(filters.before));
+    }
+    
+    return sql;
+  }
+
+  // Condition picking the posts_fts rows a post search looks at: the
+  // full-text matches, or for a filter-only search every post without an
+  // excluded word
+  searchPostMatch(filters, params) {
+    if (filters.matchQuery) {
+      params.push(filters.matchQuery);
+      return 'posts_fts MATCH ?';
+    }
+    
+    if (!filters.excludeQuery) {
+      return '1=1';
+    }
+    
+    params.push(filters.excludeQuery);
+    return 'posts_fts.rowid NOT IN (SELECT rowid FROM idx.posts_fts WHERE posts_fts MATCH ?)';
+  }
+
+  // Common table expression ranking every thread that matches a search.
+  // bm25() returns lower scores for better matches; title hits weigh more
+  // than post hits and every matching post adds to the thread's score.
+  // Author and date filters restrict which posts count, and a title hit
+  // only counts when the thread has at least one post passing them.
+  // Filter-only searches rank every thread with a post passing the filters
+  // the same.
+  threadMatchesCte(filters, params) {
+    if (!filters.matchQuery) {
+      const match = this.searchPostMatch(filters, params);
+      const postConditions = this.searchPostConditions(filters, params);
+      
+      return `
+        WITH ranked AS (
+          ${match === '1=1' && !postConditions
+            ? 'SELECT id as thread_id, 0 as relevance FROM threads'
+            : `SELECT DISTINCT p.thread_id, 0 as relevance
+              FROM idx.posts_fts
+              INNER JOIN posts p ON p.id = posts_fts.rowid
+              WHERE ${match} ${postConditions}`}
+        )
+      `;
+    }
+    
+    params.push(filters.matchQuery);
+    const titlePostConditions = this.searchPostConditions(filters, params, 'tp');
+    
+    params.push(filters.matchQuery);
+    const postConditions = this.searchPostConditions(filters, params, 'p');
+    
+    return `
+      WITH matches AS (
+        SELECT rowid as thread_id, bm25(threads_fts) * 5 as score
+        FROM idx.threads_fts
+        WHERE threads_fts MATCH ?
+        ${titlePostConditions ? `AND EXISTS (
+          SELECT 1 FROM posts tp 
+          WHERE tp.thread_id = threads_fts.rowid ${titlePostConditions}
+        )` : ''}
+        UNION ALL
+        SELECT posts_fts.thread_id, bm25(posts_fts) as score
+        FROM idx.posts_fts
+        ${postConditions ? 'INNER JOIN posts p ON p.id = posts_fts.rowid' : ''}
+        WHERE posts_fts MATCH ? ${postConditions}
+      ),
+      ranked AS (
+        SELECT thread_id, SUM(score) as relevance
+        FROM matches
+        GROUP BY thread_id
+      )
+    `;
+  }
+
+  // Search threads by title and post content, ranked by relevance, or for
+  // a filter-only search by latest activity.
+  // `filters` comes from buildSearchFilters() in utils/search.js.
+  async searchThreads(filters, limit = 20, offset = 0) {
+    this.requireIndex();
+    
+    if (!filters.matchQuery && !isFilterSearch(filters)) {
+      return [];
+    }
+    
+    const params = [];
+    let sql = `
+      ${this.threadMatchesCte(filters, params)}
+      SELECT 
+        t.id, 
+        t.name, 
+        t.path,
+        r.relevance,
+        ${this.threadSummaryColumns()}
+      FROM ranked r
+      INNER JOIN threads t ON t.id = r.thread_id
+      ${this.threadSummaryJoin()}
+      WHERE 1=1
+    `;
+    
+    sql += this.searchThreadConditions(filters, params);
+    sql += this.searchThreadExclusions(filters, params);
+    sql += ` ORDER BY ${filters.matchQuery ? 'r.relevance ASC' : THREAD_SORT_ORDERS.latest}, t.id DESC LIMIT ? OFFSET ?`;
+    params.push(limit, offset);
+    
+    return this.all(sql, params);
+  }
+
+  // Get thread search result count for pagination
+  async getSearchThreadCount(filters) {
+    this.requireIndex();
+    
+    if (!filters.matchQuery && !isFilterSearch(filters)) {
+      return 0;
+    }
+    
+    const params = [];
+    let sql = `
+      ${this.threadMatchesCte(filters, params)}
+      SELECT COUNT(*) as count
+      FROM ranked r
+      INNER JOIN threads t ON t.id = r.thread_id
+      WHERE 1=1
+    `;
+    
+    sql += this.searchThreadConditions(filters, params);
+    sql += this.searchThreadExclusions(filters, params);
+    
     const result = await this.get(sql, params);
     return result ? result.count : 0;
   }
 
-  // Search threads
-  async searchThreads(query, language = null) {
+  // Search individual posts, best matches first, with a highlighted excerpt
+  // and the page of the thread each post appears on. Hits inside a single
+  // thread (filters.threadId) are listed in reading order instead, and the
+  // posts of a filter-only search latest first with the start of their text.
+  async searchPosts(filters, limit = 20, offset = 0, pageSize = 20) {
+    this.requireIndex();
+    
+    if (!filters.matchQuery && !isFilterSearch(filters)) {
+      return [];
+    }
+    
+    const excerpt = filters.matchQuery
+      ? "snippet(posts_fts, 0, ?, ?, '…', 24)"
+      : `CASE WHEN length(posts_fts.message) > ${FILTER_EXCERPT_LENGTH}
+          THEN substr(posts_fts.message, 1, ${FILTER_EXCERPT_LENGTH}) || '…'
+          ELSE posts_fts.message END`;
+    const params = filters.matchQuery ? [EXCERPT_MARK_START, EXCERPT_MARK_END, pageSize] : [pageSize];
+    
     let sql = `
-      SELECT DISTINCT t.id, t.name, t.path,
-        COUNT(p.id) as post_count,
-        MAX(p.timestamp) as last_post_time,
-        MIN(p.timestamp) as created_time,
-        u.name as last_poster,
-        u2.name as thread_creator
-      FROM threads t
-      LEFT JOIN posts p ON t.id = p.thread_id
-      LEFT JOIN users u ON p.user_id = u.id AND p.timestamp = (SELECT MAX(timestamp) FROM posts WHERE thread_id = t.id)
-      LEFT JOIN users u2 ON u2.id = (SELECT user_id FROM posts WHERE thread_id = t.id ORDER BY timestamp ASC LIMIT 1)
-      WHERE (t.name LIKE ? OR EXISTS (
-        SELECT 1 FROM posts p2 WHERE p2.thread_id = t.id AND p2.message LIKE ?
-      ))
+      SELECT 
+        p.id,
+        p.thread_id,
+        p.post_no,
+        p.user_id,
+        p.timestamp,
+        ${this.postedAtSql('p')} as posted_at,
+        u.name as username,
+        t.name as thread_name,
+        t.path as thread_path,
+        ${excerpt} as excerpt,
+        (SELECT COUNT(*) FROM posts p2 
+         WHERE p2.thread_id = p.thread_id AND p2.post_no < p.post_no) / ? + 1 as page
+      FROM idx.posts_fts
+      INNER JOIN posts p ON p.id = posts_fts.rowid
+      INNER JOIN threads t ON t.id = p.thread_id
+      LEFT JOIN users u ON u.id = p.user_id
+      WHERE ${this.searchPostMatch(filters, params)}
     `;
     
-    const params = [`%${query}%`, `%${query}%`];
+    sql += this.searchThreadConditions(filters, params);
+    sql += this.searchPostConditions(filters, params);
+    sql += this.searchPostExclusions(filters, params);
     
-    if (language) {
-      sql += ' AND t.path LIKE ?';
-      params.push(`%/${language}/%`);
+    if (filters.threadId) {
+      sql += ' ORDER BY p.post_no';
+    } else {
+      sql += filters.matchQuery ? ' ORDER BY rank' : ' ORDER BY posted_at DESC NULLS LAST, p.id DESC';
     }
     
-    sql += ` 
-      GROUP BY t.id, t.name, t.path
-      ORDER BY MAX(p.timestamp) DESC
-      LIMIT 50
-    `;
+    sql += ' LIMIT ? OFFSET ?';
+    params.push(limit, offset);
     
     return this.all(sql, params);
   }
 
-  // Get user list with pagination and search
-  async getUserList(limit = 50, offset = 0, search = null) {
+  // Get post search result count for pagination
+  async getSearchPostCount(filters) {
+    this.requireIndex();
+    
+    if (!filters.matchQuery && !isFilterSearch(filters)) {
+      return 0;
+    }
+    
+    const params = [];
+    let sql = `
+      SELECT COUNT(*) as count
+      FROM idx.posts_fts
+      INNER JOIN posts p ON p.id = posts_fts.rowid
+      INNER JOIN threads t ON t.id = p.thread_id
+      WHERE ${this.searchPostMatch(filters, params)}
+    `;
+    
+    sql += this.searchThreadConditions(filters, params);
+    sql += this.searchPostConditions(filters, params);
+    sql += this.searchPostExclusions(filters, params);
+    
+    const result = await this.get(sql, params);
+    return result ? result.count : 0;
+  }
+
+  // Thread titles for search-as-you-type suggestions. Uses prefix matching
+  // on the title index when it is attached, a plain LIKE otherwise.
+  async suggestThreads(query, limit = 5) {
+    if (this.hasIndex) {
+      const matchQuery = buildFtsPrefixQuery(query);
+      if (!matchQuery) {
+        return [];
+      }
+      
+      const sql = `
+        SELECT t.id, t.name, t.path
+        FROM idx.threads_fts
+        INNER JOIN threads t ON t.id = threads_fts.rowid
+        WHERE threads_fts MATCH ?
+        ORDER BY rank
+        LIMIT ?
+      `;
+      return this.all(sql, [matchQuery, limit]);
+    }
+    
+    const sql = `
+      SELECT id, name, path
+      FROM threads
+      WHERE name LIKE ?
+      ORDER BY id DESC
+      LIMIT ?
+    `;
+    return this.all(sql, [`%${query}%`, limit]);
+  }
+
+  // Usernames for search-as-you-type suggestions, names starting with the
+  // query first
+  async suggestUsers(query, limit = 5) {
+    const sql = `
+      SELECT u.id, u.name
+      FROM users u
+      WHERE u.name LIKE ? AND u.id > 0
+        AND EXISTS (SELECT 1 FROM posts p WHERE p.user_id = u.id)
+      ORDER BY (u.name LIKE ?) DESC, LENGTH(u.name), u.name
+      LIMIT ?
+    `;
+    return this.all(sql, [`%${query}%`, `${query}%`, limit]);
+  }
+
+  // Get user list with pagination and search, most posts first. With a
+  // cursor ({ postCount, id } of the last user of the previous page) the
+  // page starts after that user instead of at offset.
+  async getUserList(limit = 50, offset = 0, search = null, cursor = null) {
     let sql = `
       SELECT u.id, u.name,
         COUNT(DISTINCT p.thread_id) as thread_count,
         COUNT(p.id) as post_count,
-        MIN(p.timestamp) as first_post,
-        MAX(p.timestamp) as last_post
+        MIN(${this.postedAtSql('p')}) as first_post,
+        MAX(${this.postedAtSql('p')}) as last_post
       FROM users u
       INNER JOIN posts p ON u.id = p.user_id
       WHERE u.name IS NOT NULL AND u.name != '' AND u.id > 0
@@ -283,13 +992,15 @@ class Database {
       params.push(`%${search}%`);
     }
     
-    sql += ` 
-      GROUP BY u.id, u.name
-      ORDER BY post_count DESC
-      LIMIT ? OFFSET ?
-    `;
+    sql += ' GROUP BY u.id, u.name';
     
-    params.push(limit, offset);
+    if (cursor) {
+      sql += ' HAVING post_count < ? OR (post_count = ? AND u.id > ?)';
+      params.push(cursor.postCount, cursor.postCount, cursor.id);
+    }
+    
+    sql += ' ORDER BY post_count DESC, u.id ASC LIMIT ? OFFSET ?';
+    params.push(limit, cursor ? 0 : offset);
     
     return this.all(sql, params);
   }
@@ -329,9 +1040,9 @@ class Database {
       SELECT 
         COUNT(*) as total_posts,
         COUNT(DISTINCT thread_id) as total_threads,
-        MIN(timestamp) as first_post,
-        MAX(timestamp) as last_post
-      FROM posts 
+        MIN(${this.postedAtSql('p')}) as first_post,
+        MAX(${this.postedAtSql('p')}) as last_post
+      FROM posts p
       WHERE user_id = ?
     `;
     
@@ -340,55 +1051,148 @@ class Database {
     return { ...user, ...stats };
   }
 
-  // Get user threads
+  // Threads a user posted in, by their first post there, with the same
+  // columns as thread listings (see threadSummaryColumns)
   async getUserThreads(userId, limit = 20, offset = 0) {
     const sql = `
       SELECT 
         t.id, 
         t.name, 
         t.path,
-        tc.post_count,
         up.first_post,
-        tc.last_post
+        ${this.threadSummaryColumns()}
       FROM (
-        SELECT thread_id, MIN(timestamp) as first_post
-        FROM posts 
+        SELECT thread_id, MIN(${this.hasIndex ? 'posted_at' : this.postedAtSql('p')}) as first_post
+        FROM ${this.hasIndex ? 'idx.post_times' : 'posts p'}
         WHERE user_id = ?
         GROUP BY thread_id
         ORDER BY first_post DESC
         LIMIT ? OFFSET ?
       ) up
       INNER JOIN threads t ON up.thread_id = t.id
-      INNER JOIN (
-        SELECT thread_id, COUNT(*) as post_count, MAX(timestamp) as last_post
-        FROM posts 
-        GROUP BY thread_id
-      ) tc ON t.id = tc.thread_id
+      ${this.threadSummaryJoin()}
       ORDER BY up.first_post DESC
     `;
     
     return this.all(sql, [userId, limit, offset]);
   }
 
-  // Get user posts
-  async getUserPosts(userId, limit = 20, offset = 0) {
-    const sql = `
+  // Get user posts, newest first. With a cursor ({ postedAt, id } of the
+  // last post of the previous page) the page starts after that post instead
+  // of at offset. With the index attached the posts are read in order from
+  // post_times, so deep pages stay fast for users with many posts.
+  async getUserPosts(userId, limit = 20, offset = 0, cursor = null) {
+    const postedAt = this.hasIndex ? 'pt.posted_at' : parseTimestampSql('p.timestamp');
+    const params = [userId];
+    
+    let sql = `
       SELECT 
         p.id,
         p.thread_id,
         p.post_no,
         p.timestamp,
+        ${postedAt} as posted_at,
         p.message,
         t.name as thread_name, 
         t.path as thread_path
+      FROM ${this.hasIndex ? 'idx.post_times pt INNER JOIN posts p ON p.id = pt.post_id' : 'posts p'}
+      INNER JOIN threads t ON p.thread_id = t.id
+      WHERE ${this.hasIndex ? 'pt.user_id' : 'p.user_id'} = ?
+    `;
+    
+    // Posts without a date sort last
+    if (cursor && cursor.postedAt !== null) {
+      sql += ` AND (${postedAt} < ? OR (${postedAt} = ? AND p.id < ?) OR ${postedAt} IS NULL)`;
+      params.push(cursor.postedAt, cursor.postedAt, cursor.id);
+    } else if (cursor) {
+      sql += ` AND ${postedAt} IS NULL AND p.id < ?`;
+      params.push(cursor.id);
+    }
+    
+    sql += ` ORDER BY ${postedAt} DESC, p.id DESC LIMIT ? OFFSET ?`;
+    params.push(limit, cursor ? 0 : offset);
+    
+    return this.all(sql, params);
+  }
+
+  // Bulk dumps (/api/export/*) read their table in id order, a batch at a
+  // time: each method returns up to `limit` rows with ids above `afterId`.
+  // Filters are { language, category, after, before } as on the listings;
+  // the date range applies to posts, so threads and users are kept when they
+  // have a post in it.
+
+  async getThreadExportBatch(filters, afterId = 0, limit = 1000) {
+    const params = [afterId];
+    let sql = `
+      SELECT 
+        t.id, 
+        t.name, 
+        t.path,
+        ${this.threadSummaryColumns()}
+      FROM threads t
+      ${this.threadSummaryJoin()}
+      WHERE t.id > ?
+    `;
+    
+    sql += this.threadListConditions(filters.language, filters.category, params);
+    
+    if (filters.after || filters.before) {
+      sql += ` AND EXISTS (SELECT 1 FROM posts p WHERE p.thread_id = t.id ${this.searchPostConditions(filters, params)})`;
+    }
+    
+    sql += ' ORDER BY t.id LIMIT ?';
+    params.push(limit);
+    
+    return this.all(sql, params);
+  }
+
+  async getPostExportBatch(filters, afterId = 0, limit = 1000) {
+    const params = [afterId];
+    let sql = `
+      SELECT 
+        p.*,
+        u.name as username,
+        ${this.postedAtSql('p')} as posted_at,
+        t.name as thread_name,
+        t.path as thread_path
       FROM posts p
       INNER JOIN threads t ON p.thread_id = t.id
-      WHERE p.user_id = ?
-      ORDER BY p.timestamp DESC
-      LIMIT ? OFFSET ?
+      ${this.threadSummaryJoin()}
+      LEFT JOIN users u ON p.user_id = u.id
+      WHERE p.id > ?
     `;
     
-    return this.all(sql, [userId, limit, offset]);
+    sql += this.threadListConditions(filters.language, filters.category, params);
+    sql += this.searchPostConditions(filters, params);
+    sql += ' ORDER BY p.id LIMIT ?';
+    params.push(limit);
+    
+    return this.all(sql, params);
+  }
+
+  // Post and thread counts, first and last post only count the posts
+  // passing the filters
+  async getUserExportBatch(filters, afterId = 0, limit = 1000) {
+    const params = [afterId];
+    let sql = `
+      SELECT u.id, u.name,
+        COUNT(DISTINCT p.thread_id) as thread_count,
+        COUNT(p.id) as post_count,
+        MIN(${this.postedAtSql('p')}) as first_post,
+        MAX(${this.postedAtSql('p')}) as last_post
+      FROM users u
+      INNER JOIN posts p ON u.id = p.user_id
+      INNER JOIN threads t ON p.thread_id = t.id
+      ${this.threadSummaryJoin()}
+      WHERE u.name IS NOT NULL AND u.name != '' AND u.id > ?
+    `;
+    
+    sql += this.threadListConditions(filters.language, filters.category, params);
+    sql += this.searchPostConditions(filters, params);
+    sql += ' GROUP BY u.id, u.name ORDER BY u.id LIMIT ?';
+    params.push(limit);
+    
+    return this.all(sql, params);
   }
 
   // Get forum statistics
@@ -453,6 +1257,7 @@ class Database {
   async getMostActiveUsers(limit = 20) {
     const sql = `
       SELECT 
+        u.id,
         u.name,
         COUNT(p.id) as post_count
       FROM users u
@@ -468,16 +1273,16 @@ class Database {
 
   // Get posting activity by year
   async getYearlyStats() {
+    const postTimes = this.hasIndex
+      ? 'idx.post_times'
+      : `(SELECT ${parseTimestampSql('timestamp')} as posted_at FROM posts)`;
+    
     const sql = `
       SELECT 
-        CASE 
-          WHEN timestamp LIKE '%-%-%' AND LENGTH(timestamp) >= 10 THEN
-            SUBSTR(timestamp, -4)
-          ELSE 'Unknown'
-        END as year,
+        strftime('%Y', posted_at, 'unixepoch') as year,
         COUNT(*) as post_count
-      FROM posts
-      WHERE year != 'Unknown' AND year BETWEEN '2005' AND '2025'
+      FROM ${postTimes}
+      WHERE posted_at IS NOT NULL
       GROUP BY year
       ORDER BY year
     `;
@@ -502,13 +1307,102 @@ class Database {
     
     return this.all(sql, [limit]);
   }
+
+  // Post count and last post of every thread in id order, used to split the
+  // sitemap into chunks
+  async getThreadActivity() {
+    const sql = `
+      SELECT t.id, ${this.threadSummaryColumns()}
+      FROM threads t
+      ${this.threadSummaryJoin()}
+      ORDER BY t.id
+    `;
+    
+    return this.all(sql);
+  }
+
+  // Last post of each page (of pageSize posts in post order) of the threads
+  // with ids between firstId and lastId
+  async getThreadPageActivity(firstId, lastId, pageSize = 20) {
+    const sql = `
+      SELECT thread_id, page_index, MAX(posted_at) as last_post_at
+      FROM (
+        SELECT 
+          p.thread_id,
+          ${this.postedAtSql('p')} as posted_at,
+          (ROW_NUMBER() OVER (PARTITION BY p.thread_id ORDER BY p.post_no) - 1) / ? as page_index
+        FROM posts p
+        WHERE p.thread_id BETWEEN ? AND ?
+      )
+      GROUP BY thread_id, page_index
+      ORDER BY thread_id, page_index
+    `;
+    
+    return this.all(sql, [pageSize, firstId, lastId]);
+  }
+
+  // Last post of every user listed on the users page, in id order
+  async getUserActivity(limit = 50000, offset = 0) {
+    const postTimes = this.hasIndex ? 'idx.post_times' : 'posts';
+    const postedAt = this.hasIndex ? 'p.posted_at' : parseTimestampSql('p.timestamp');
+    
+    const sql = `
+      SELECT u.id, MAX(${postedAt}) as last_post_at
+      FROM users u
+      INNER JOIN ${postTimes} p ON u.id = p.user_id
+      WHERE u.name IS NOT NULL AND u.name != '' AND u.id > 0
+      GROUP BY u.id
+      ORDER BY u.id
+      LIMIT ? OFFSET ?
+    `;
+    
+    return this.all(sql, [limit, offset]);
+  }
+
+  // Last post of every language/category listing
+  async getListingActivity() {
+    if (this.hasIndex) {
+      return this.all(`
+        SELECT language, category, MAX(last_post_at) as last_post_at
+        FROM idx.thread_summary
+        GROUP BY language, category
+        ORDER BY language, category
+      `);
+    }
+    
+    const rows = await this.all(`
+      SELECT t.path, MAX(${this.postedAtSql('p')}) as last_post_at
+      FROM threads t
+      LEFT JOIN posts p ON p.thread_id = t.id
+      GROUP BY t.path
+    `);
+    
+    // Several paths can map to the same listing
+    const listings = new Map();
+    for (const row of rows) {
+      const language = getLanguageFromPath(row.path || '');
+      const category = getCategoryFromPath(row.path || '');
+      const key = `${language}/${category}`;
+      const listing = listings.get(key);
+      
+      if (!listing) {
+        listings.set(key, { language, category, last_post_at: row.last_post_at });
+      } else if (row.last_post_at > (listing.last_post_at ?? -Infinity)) {
+        listing.last_post_at = row.last_post_at;
+      }
+    }
+    
+    return [...listings.values()].sort((a, b) => 
+      a.language.localeCompare(b.language) || a.category.localeCompare(b.category));
+  }
 }
 
 // Create singleton instance
 const db = new Database();
 
-// Initialize database connection
-db.connect().catch(console.error);
+// Initialize database connection; scripts await db.ready before querying
+db.ready = db.connect();
+db.ready.catch(console.error);
 
 // Handle process termination
 process.on('SIGINT', async () => {
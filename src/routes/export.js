@@ -0,0 +1,204 @@
+import express from 'express';
+import db from '../models/database.js';
+import {
+  createErrorResponse,
+  formatThreadForApi,
+  formatPostForApi,
+  formatUserForApi,
+  slugify
+} from '../utils/helpers.js';
+import { parseSearchDate } from '../utils/search.js';
+import { EpubWriter, renderEpubPosts } from '../utils/epub.js';
+
+const router = express.Router();
+
+// Rows read from the database per query while streaming a dump
+const BATCH_SIZE = 1000;
+
+const EXPORT_FORMATS = {
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8'
+};
+
+// Database batch method, API formatter and CSV columns of each dump. Rows
+// have the same fields as in the other API responses.
+const DUMPS = {
+  threads: {
+    getBatch: (filters, afterId) => db.getThreadExportBatch(filters, afterId, BATCH_SIZE),
+    format: formatThreadForApi,
+    columns: [
+      'id', 'name', 'path', 'language', 'category', 'postCount', 'participantCount',
+      'threadCreator', 'createdAt', 'lastPoster', 'lastPostAt'
+    ]
+  },
+  posts: {
+    getBatch: (filters, afterId) => db.getPostExportBatch(filters, afterId, BATCH_SIZE),
+    format: formatPostForApi,
+    columns: ['id', 'threadId', 'threadName', 'postNo', 'userId', 'username', 'postedAt', 'message']
+  },
+  users: {
+    getBatch: (filters, afterId) => db.getUserExportBatch(filters, afterId, BATCH_SIZE),
+    format: formatUserForApi,
+    columns: ['id', 'name', 'postCount', 'threadCount', 'firstPostAt', 'lastPostAt']
+  }
+};
+
+// Quote a CSV field when it contains a separator, quote or line break
+function toCsvField(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+  return `${values.map(toCsvField).join(',')}\r\n`;
+}
+
+// Resolves once the response can take more data (or the client went away)
+function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// GET /api/export/:table - Stream all threads, posts or users as NDJSON or CSV
+router.get('/:table(threads|posts|users)', async (req, res) => {
+  const { language, category, after, before, format = 'ndjson' } = req.query;
+  const { table } = req.params;
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json(createErrorResponse(
+      `Invalid format, expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, 400));
+  }
+
+  for (const [name, value] of Object.entries({ after, before })) {
+    if (value !== undefined && !parseSearchDate(value)) {
+      return res.status(400).json(createErrorResponse(
+        `Invalid ${name} date, expected YYYY, YYYY-MM or YYYY-MM-DD`, 400));
+    }
+  }
+
+  const filters = {
+    language,
+    category,
+    after: parseSearchDate(after),
+    before: parseSearchDate(before)
+  };
+  const dump = DUMPS[table];
+
+  try {
+    // Read the first batch before sending anything, so a failing query can
+    // still be answered with an error response
+    let rows = await dump.getBatch(filters, 0);
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${table}.${format}"`);
+
+    if (format === 'csv') {
+      res.write(toCsvRow(dump.columns));
+    }
+
+    while (rows.length > 0 && !res.destroyed) {
+      const chunk = rows
+        .map(dump.format)
+        .map(row => (format === 'csv'
+          ? toCsvRow(dump.columns.map(column => row[column]))
+          : `${JSON.stringify(row)}\n`))
+        .join('');
+
+      if (!res.write(chunk)) {
+        await waitForDrain(res);
+      }
+
+      rows = rows.length === BATCH_SIZE
+        ? await dump.getBatch(filters, rows[rows.length - 1].id)
+        : [];
+    }
+
+    res.end();
+
+  } catch (error) {
+    console.error(`Error exporting ${table}:`, error);
+
+    if (res.headersSent) {
+      // Abort the transfer so the client can tell the dump is incomplete
+      res.destroy(error);
+    } else {
+      res.status(500).json(createErrorResponse(`Failed to export ${table}`, 500, error.message));
+    }
+  }
+});
+
+// GET /api/export/category - A whole category as an EPUB book with a chapter
+// per thread, oldest thread first
+router.get('/category', async (req, res) => {
+  const { language, category } = req.query;
+
+  if (!category) {
+    return res.status(400).json(createErrorResponse('Category is required', 400));
+  }
+
+  try {
+    const filters = { language, category };
+    let threads = await db.getThreadExportBatch(filters, 0, BATCH_SIZE);
+
+    if (threads.length === 0) {
+      return res.status(404).json(createErrorResponse('Category not found', 404));
+    }
+
+    const bookLanguage = language || formatThreadForApi(threads[0]).language;
+    const listingUrl = `${req.protocol}://${req.get('host')}/?${new URLSearchParams(
+      language ? { language, category } : { category })}`;
+
+    res.setHeader('Content-Type', 'application/epub+zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${slugify(`${language || ''} ${category}`) || 'category'}.epub"`);
+
+    const epub = new EpubWriter(res, {
+      title: language ? `${category} - ${language}` : category,
+      language: bookLanguage,
+      identifier: listingUrl,
+      description: `Threads of ${category} from the Champions of Regnum community forum archive`
+    });
+    await epub.start();
+
+    // Stop as soon as the client goes away instead of reading the rest of
+    // the batch for nobody
+    while (threads.length > 0 && !res.destroyed) {
+      for (const row of threads) {
+        if (res.destroyed) break;
+        const thread = formatThreadForApi(row);
+        const posts = (await db.getPosts(thread.id, thread.postCount, 0)).map(formatPostForApi);
+
+        if (res.destroyed) break;
+        await epub.addChapter(thread.name, renderEpubPosts(posts));
+      }
+
+      threads = threads.length === BATCH_SIZE && !res.destroyed
+        ? await db.getThreadExportBatch(filters, threads[threads.length - 1].id, BATCH_SIZE)
+        : [];
+    }
+
+    if (!res.destroyed) {
+      await epub.finish();
+      res.end();
+    }
+
+  } catch (error) {
+    console.error('Error exporting category:', error);
+
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json(createErrorResponse('Failed to export category', 500, error.message));
+    }
+  }
+});
+
+export default router;
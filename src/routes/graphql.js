@@ -0,0 +1,163 @@
+import express from 'express';
+import {
+  parse,
+  validate,
+  execute,
+  getOperationAST,
+  getNamedType,
+  getArgumentValues,
+  getVariableValues,
+  Kind,
+  GraphQLError
+} from 'graphql';
+import { schema, createLoaders } from '../utils/graphql-schema.js';
+import { validatePagination } from '../utils/helpers.js';
+
+const router = express.Router();
+
+// Deepest nesting of fields, e.g. { thread { posts { author { name } } } } is 4
+const MAX_QUERY_DEPTH = 6;
+
+// Estimated objects a query can return: each field costs 1 plus the cost of
+// its selections, times the page size for paginated lists
+const MAX_QUERY_COMPLEXITY = 5000;
+
+// Fields of a selection set with fragments expanded. The schema has no
+// interfaces or unions, so type conditions can be ignored.
+function collectFields(selectionSet, fragments, fields = []) {
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      fields.push(selection);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      collectFields(selection.selectionSet, fragments, fields);
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD && fragments[selection.name.value]) {
+      collectFields(fragments[selection.name.value].selectionSet, fragments, fields);
+    }
+  }
+  return fields;
+}
+
+// Depth and complexity of a selection set on parentType. Introspection
+// fields (__schema, __typename, ...) are free.
+function measureSelections(selectionSet, parentType, context) {
+  let depth = 0;
+  let complexity = 0;
+
+  for (const node of collectFields(selectionSet, context.fragments)) {
+    if (node.name.value.startsWith('__')) continue;
+
+    const field = parentType.getFields()[node.name.value];
+    const children = node.selectionSet
+      ? measureSelections(node.selectionSet, getNamedType(field.type), context)
+      : { depth: 0, complexity: 0 };
+
+    const args = getArgumentValues(field, node, context.variables);
+    const listSize = args.limit !== undefined
+      ? validatePagination(1, args.limit).limit
+      : field.extensions?.listSize ?? 1;
+
+    depth = Math.max(depth, children.depth + 1);
+    complexity += 1 + listSize * children.complexity;
+  }
+
+  return { depth, complexity };
+}
+
+// Validation errors, coerced variables and the operation to run
+function prepareQuery({ query, variables, operationName }) {
+  if (typeof query !== 'string' || query.trim() === '') {
+    return { errors: [new GraphQLError('Query is required')] };
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return { errors: [error] };
+  }
+
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length > 0) {
+    return { errors: validationErrors };
+  }
+
+  const operation = getOperationAST(document, operationName);
+  if (!operation) {
+    return { errors: [new GraphQLError('Unknown operation, set operationName to one of the operations in the query')] };
+  }
+
+  if (operation.operation !== 'query') {
+    return { errors: [new GraphQLError('Only queries are supported, the archive is read-only')] };
+  }
+
+  const { coerced, errors } = getVariableValues(schema, operation.variableDefinitions || [], variables || {});
+  if (errors) {
+    return { errors };
+  }
+
+  const fragments = Object.fromEntries(document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(definition => [definition.name.value, definition]));
+
+  const { depth, complexity } = measureSelections(operation.selectionSet, schema.getQueryType(), {
+    fragments,
+    variables: coerced
+  });
+
+  if (depth > MAX_QUERY_DEPTH) {
+    return { errors: [new GraphQLError(`Query is nested ${depth} levels deep, the limit is ${MAX_QUERY_DEPTH}`)] };
+  }
+
+  if (complexity > MAX_QUERY_COMPLEXITY) {
+    return { errors: [new GraphQLError(
+      `Query complexity ${complexity} exceeds the limit of ${MAX_QUERY_COMPLEXITY}, request smaller pages or fewer nested lists`)] };
+  }
+
+  return { document, variables: coerced };
+}
+
+async function handleQuery(req, res, params) {
+  let variables = params.variables;
+
+  // Variables arrive as a JSON string in GET requests
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      return res.status(400).json({ errors: [{ message: 'Variables must be a JSON object' }] });
+    }
+  }
+
+  const prepared = prepareQuery({ ...params, variables });
+  if (prepared.errors) {
+    return res.status(400).json({ errors: prepared.errors });
+  }
+
+  try {
+    const result = await execute({
+      schema,
+      document: prepared.document,
+      variableValues: prepared.variables,
+      operationName: params.operationName,
+      contextValue: { loaders: createLoaders() }
+    });
+
+    if (result.errors) {
+      console.error('GraphQL errors:', result.errors.map(error => error.message).join('; '));
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error executing GraphQL query:', error);
+    res.status(500).json({ errors: [{ message: 'Failed to execute query' }] });
+  }
+}
+
+// GET /api/graphql?query=...&variables=...&operationName=...
+router.get('/', (req, res) => handleQuery(req, res, req.query));
+
+// POST /api/graphql with a JSON body { query, variables, operationName }
+router.post('/', (req, res) => handleQuery(req, res, req.body || {}));
+
+export default router;
@@ -0,0 +1,938 @@
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import getSwaggerUiPath from 'swagger-ui-dist/absolute-path.js';
+import { THREAD_SORTS } from '../models/database.js';
+import { THREAD_EXPORT_FORMATS } from '../utils/thread-export.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EXPLORER_HTML = path.join(__dirname, '../../public/api-docs.html');
+
+const router = express.Router();
+
+// OpenAPI description of the JSON API. Keep it in step with the routers:
+// `npm run check:openapi` calls every operation and validates the responses
+// against these schemas, and fails on routes that are missing here.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+
+const nullable = (type, extra = {}) => ({ type, nullable: true, ...extra });
+const dateTime = (description) => ({ type: 'string', format: 'date-time', nullable: true, description });
+const arrayOf = items => ({ type: 'array', items });
+
+// The createApiResponse envelope around `data`
+function envelope(data) {
+  return {
+    type: 'object',
+    required: ['success', 'status', 'message', 'data', 'timestamp'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      status: { type: 'integer', example: 200 },
+      message: { type: 'string', example: 'Success' },
+      data,
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  };
+}
+
+function jsonResponse(description, schema) {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+const ok = (description, data) => jsonResponse(description, envelope(data));
+const error = description => jsonResponse(description, ref('ErrorResponse'));
+
+// Pagination blocks differ between routes in the name of the total and of
+// the "more pages" flag
+function pagination(totalKey, moreKey, extra = {}) {
+  return {
+    type: 'object',
+    required: ['page', 'limit', 'totalPages', totalKey, moreKey, 'hasPrev'],
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      [totalKey]: { type: 'integer' },
+      [moreKey]: { type: 'boolean' },
+      hasPrev: { type: 'boolean' },
+      ...extra
+    }
+  };
+}
+
+// Pagination of listings that can also be paged with a cursor
+function cursorPagination(totalKey, moreKey, extra = {}) {
+  const block = pagination(totalKey, moreKey, {
+    nextCursor: nullable('string', { description: '`cursor` of the next page, null on the last page' }),
+    ...extra
+  });
+  block.required.push('nextCursor');
+  block.properties.page = nullable('integer', { description: 'Null when paging with a cursor' });
+  return block;
+}
+
+function queryParam(name, schema, description, required = false) {
+  return { name, in: 'query', required, description, schema };
+}
+
+const schemas = {
+  ErrorResponse: {
+    type: 'object',
+    required: ['success', 'status', 'message', 'error', 'timestamp'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      status: { type: 'integer', example: 404 },
+      message: { type: 'string', example: 'Thread not found' },
+      error: nullable('string', { description: 'Details of server errors' }),
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Thread: {
+    type: 'object',
+    required: ['id', 'name', 'path', 'language', 'category', 'postCount', 'participantCount'],
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      path: { type: 'string', example: 'Calendar/Champions of Regnum/English/War Reports' },
+      language: { type: 'string', example: 'English' },
+      category: { type: 'string', example: 'War Reports' },
+      postCount: { type: 'integer' },
+      participantCount: { type: 'integer', description: 'Registered users who posted in the thread' },
+      lastPoster: nullable('string', { description: 'Not included in user thread lists' }),
+      lastPostTime: nullable('string', { example: 'Jan 15, 2023 at 2:35 PM' }),
+      lastPostAt: dateTime(),
+      createdTime: nullable('string', { example: 'Jan 10, 2023 at 9:00 AM' }),
+      createdAt: dateTime(),
+      threadCreator: nullable('string', { description: 'Not included in user thread lists' }),
+      neighbors: {
+        anyOf: [ref('ThreadNeighbors')],
+        nullable: true,
+        description: 'Only on a single thread; null for threads outside the language and category listings'
+      }
+    }
+  },
+  ThreadLink: {
+    type: 'object',
+    required: ['id', 'name'],
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' }
+    }
+  },
+  ThreadNeighbors: {
+    type: 'object',
+    required: ['sort', 'previous', 'next'],
+    description: 'Threads listed before and after the thread in its language and category',
+    properties: {
+      sort: { type: 'string', enum: THREAD_SORTS },
+      previous: { anyOf: [ref('ThreadLink')], nullable: true },
+      next: { anyOf: [ref('ThreadLink')], nullable: true }
+    }
+  },
+  Post: {
+    type: 'object',
+    required: ['id', 'threadId', 'postNo', 'username', 'timestamp', 'postedAt', 'message'],
+    properties: {
+      id: { type: 'integer' },
+      threadId: { type: 'integer' },
+      postNo: { type: 'integer', description: 'Position in the thread, from 1' },
+      userId: nullable('integer', { description: '0 for guests; not included in user post lists' }),
+      username: { type: 'string', description: '"Guest" for posts without a user' },
+      timestamp: nullable('string', { example: 'Jan 15, 2023 at 2:35 PM' }),
+      postedAt: dateTime(),
+      message: { type: 'string', description: 'Sanitized HTML' },
+      threadName: { type: 'string', description: 'Only in user post lists' },
+      threadPath: { type: 'string', description: 'Only in user post lists' }
+    }
+  },
+  ThreadParticipant: {
+    type: 'object',
+    required: ['userId', 'username', 'postCount', 'firstPost', 'lastPost', 'profileUrl'],
+    properties: {
+      userId: { type: 'integer' },
+      username: { type: 'string' },
+      postCount: { type: 'integer', description: 'Posts of the user in the thread' },
+      firstPost: ref('PostInThread'),
+      lastPost: ref('PostInThread'),
+      profileUrl: { type: 'string', example: '/users/456' }
+    }
+  },
+  PostInThread: {
+    type: 'object',
+    required: ['id', 'postNo', 'timestamp', 'postedAt'],
+    description: 'Permalink at `/posts/{id}`',
+    properties: {
+      id: { type: 'integer' },
+      postNo: { type: 'integer' },
+      timestamp: nullable('string', { example: 'Jan 15, 2023 at 2:35 PM' }),
+      postedAt: dateTime()
+    }
+  },
+  PostLocation: {
+    type: 'object',
+    required: ['post', 'thread', 'page', 'pageSize'],
+    properties: {
+      post: ref('Post'),
+      thread: ref('Thread'),
+      page: { type: 'integer', minimum: 1, description: 'Page of the thread view (of `pageSize` posts) holding the post' },
+      pageSize: { type: 'integer' }
+    }
+  },
+  PostSearchResult: {
+    type: 'object',
+    required: ['id', 'threadId', 'threadName', 'postNo', 'page', 'username', 'excerpt'],
+    properties: {
+      id: { type: 'integer' },
+      threadId: { type: 'integer' },
+      threadName: { type: 'string' },
+      language: nullable('string'),
+      category: nullable('string'),
+      postNo: { type: 'integer' },
+      page: { type: 'integer', description: 'Page of the thread view (of `pageSize` posts) holding the post' },
+      userId: { type: 'integer' },
+      username: { type: 'string' },
+      timestamp: nullable('string'),
+      postedAt: dateTime(),
+      excerpt: { type: 'string', description: 'Escaped text with matches wrapped in <mark>' }
+    }
+  },
+  User: {
+    type: 'object',
+    required: ['id', 'name', 'postCount', 'threadCount', 'firstPost', 'firstPostAt', 'lastPost', 'lastPostAt'],
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      postCount: { type: 'integer' },
+      threadCount: { type: 'integer', description: 'Threads the user posted in' },
+      firstPost: nullable('string', { example: 'Jan 12, 2007 at 2:10 AM' }),
+      firstPostAt: dateTime(),
+      lastPost: nullable('string'),
+      lastPostAt: dateTime()
+    }
+  },
+  SearchFilters: {
+    type: 'object',
+    description: 'Filters applied to a search, after parsing operators in the query',
+    properties: {
+      q: { type: 'string' },
+      search: { type: 'string' },
+      language: nullable('string'),
+      category: nullable('string'),
+      author: nullable('string'),
+      after: nullable('string', { format: 'date' }),
+      before: nullable('string', { format: 'date' }),
+      highlightTerms: arrayOf({ type: 'string' })
+    }
+  },
+  Overview: {
+    type: 'object',
+    required: ['totalUsers', 'totalThreads', 'totalPosts', 'totalLanguages'],
+    properties: {
+      totalUsers: { type: 'integer' },
+      totalThreads: { type: 'integer' },
+      totalPosts: { type: 'integer' },
+      totalLanguages: { type: 'integer' }
+    }
+  },
+  LanguageStats: {
+    type: 'object',
+    required: ['language', 'thread_count', 'post_count', 'flag', 'percentage'],
+    properties: {
+      language: { type: 'string' },
+      thread_count: { type: 'integer' },
+      post_count: { type: 'integer' },
+      flag: { type: 'string' },
+      percentage: { type: 'number', description: 'Share of all posts' }
+    }
+  },
+  ActiveUser: {
+    type: 'object',
+    required: ['id', 'name', 'post_count', 'rank', 'medal'],
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      post_count: { type: 'integer' },
+      rank: { type: 'integer' },
+      medal: nullable('string', { description: 'For the top three' })
+    }
+  },
+  YearlyActivity: {
+    type: 'object',
+    required: ['year', 'post_count', 'percentage'],
+    properties: {
+      year: nullable('string', { example: '2009' }),
+      post_count: { type: 'integer' },
+      percentage: { type: 'number', description: 'Relative to the busiest year' }
+    }
+  },
+  GraphQLRequest: {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string', example: '{ thread(id: 13) { name posts(limit: 5) { postNo author { name postCount } } } }' },
+      variables: { type: 'object', additionalProperties: true, nullable: true },
+      operationName: nullable('string')
+    }
+  },
+  GraphQLResponse: {
+    type: 'object',
+    properties: {
+      data: { type: 'object', additionalProperties: true, nullable: true },
+      errors: arrayOf({
+        type: 'object',
+        required: ['message'],
+        properties: {
+          message: { type: 'string' },
+          locations: arrayOf({
+            type: 'object',
+            properties: { line: { type: 'integer' }, column: { type: 'integer' } }
+          }),
+          path: arrayOf({ anyOf: [{ type: 'string' }, { type: 'integer' }] })
+        }
+      })
+    }
+  },
+  CategoryStats: {
+    type: 'object',
+    required: ['full_category', 'thread_count', 'post_count', 'rank', 'percentage', 'display_category'],
+    properties: {
+      full_category: { type: 'string', example: 'English/War Reports' },
+      thread_count: { type: 'integer' },
+      post_count: { type: 'integer' },
+      rank: { type: 'integer' },
+      percentage: { type: 'number', description: 'Relative to the busiest category' },
+      display_category: { type: 'string', example: 'English › War Reports' }
+    }
+  }
+};
+
+const parameters = {
+  ThreadId: { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+  UserId: { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+  PostId: { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+  Page: queryParam('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number'),
+  Limit: queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Items per page'),
+  Cursor: queryParam('cursor', { type: 'string' },
+    '`nextCursor` of the previous page. Continues after its last item instead of at `page`, which stays fast on deep pages.'),
+  PostPageSize: queryParam('pageSize', { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    'Page size of the thread view, used to compute `page`'),
+  PageSize: queryParam('pageSize', { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    'Page size of the thread view, used to compute `page` of each hit'),
+  Language: queryParam('language', { type: 'string', example: 'English' }, 'Filter by language'),
+  Category: queryParam('category', { type: 'string', example: 'War Reports' }, 'Filter by forum category'),
+  Author: queryParam('author', { type: 'string' }, 'Only posts written by this user'),
+  After: queryParam('after', { type: 'string', example: '2009-01' },
+    'Only posts written from this `YYYY`, `YYYY-MM` or `YYYY-MM-DD` on'),
+  Before: queryParam('before', { type: 'string', example: '2011-06' },
+    'Only posts written before this `YYYY`, `YYYY-MM` or `YYYY-MM-DD`')
+};
+
+const paths = {
+  '/threads': {
+    get: {
+      tags: ['Threads'],
+      summary: 'List threads',
+      description: 'Latest activity first by default. With `search` the threads are ranked by relevance (latest activity first when it only holds operators), with `random` shuffled.',
+      parameters: [
+        param('Language'),
+        param('Category'),
+        queryParam('search', { type: 'string', example: 'siege' },
+          'Full-text query with the search syntax (requires the search index)'),
+        param('Author'),
+        param('After'),
+        param('Before'),
+        queryParam('sort', { type: 'string', enum: THREAD_SORTS, default: 'latest' },
+          'Order of the listing, ignored with `search` and `random`'),
+        queryParam('random', { type: 'string', enum: ['true', '1'] }, 'Shuffle the threads, ignored with `search`'),
+        queryParam('seed', { type: 'integer', minimum: 0, maximum: 9999999999 },
+          'With `random`, the shuffle to return; a new one is picked and echoed in `filters.seed` when omitted'),
+        param('Page'),
+        param('Limit')
+      ],
+      responses: {
+        200: ok('Page of threads', {
+          type: 'object',
+          required: ['threads', 'pagination', 'filters'],
+          properties: {
+            threads: arrayOf(ref('Thread')),
+            pagination: pagination('totalThreads', 'hasNext'),
+            filters: {
+              type: 'object',
+              properties: {
+                ...schemas.SearchFilters.properties,
+                sort: { type: 'string', enum: THREAD_SORTS },
+                random: { type: 'boolean' },
+                seed: { type: 'integer' }
+              }
+            }
+          }
+        }),
+        400: error('Invalid sort, seed or search date'),
+        503: error('`search` without the search index')
+      }
+    }
+  },
+  '/threads/{id}': {
+    get: {
+      tags: ['Threads'],
+      summary: 'Get a thread',
+      parameters: [
+        param('ThreadId'),
+        queryParam('sort', { type: 'string', enum: THREAD_SORTS, default: 'latest' },
+          'Order of the category listing that `neighbors` follows')
+      ],
+      responses: {
+        200: ok('Thread', ref('Thread')),
+        400: error('Invalid thread ID or sort'),
+        404: error('Thread not found')
+      }
+    }
+  },
+  '/threads/{id}/posts': {
+    get: {
+      tags: ['Threads'],
+      summary: 'List the posts of a thread',
+      parameters: [
+        param('ThreadId'),
+        param('Page'),
+        param('Limit'),
+        param('Cursor'),
+        queryParam('userId', { type: 'integer', minimum: 1 },
+          'Only posts of this user; `totalPosts` and `totalPages` then count those')
+      ],
+      responses: {
+        200: ok('Page of posts in thread order', {
+          type: 'object',
+          required: ['posts', 'thread', 'pagination'],
+          properties: {
+            posts: arrayOf(ref('Post')),
+            thread: ref('Thread'),
+            pagination: cursorPagination('totalPosts', 'hasMore')
+          }
+        }),
+        400: error('Invalid thread ID, user ID or cursor'),
+        404: error('Thread not found')
+      }
+    }
+  },
+  '/threads/{id}/participants': {
+    get: {
+      tags: ['Threads'],
+      summary: 'List the participants of a thread',
+      description: 'Registered users who posted in the thread, most posts first. Guest posts are not included.',
+      parameters: [param('ThreadId')],
+      responses: {
+        200: ok('Participants', {
+          type: 'object',
+          required: ['participants', 'thread'],
+          properties: {
+            participants: arrayOf(ref('ThreadParticipant')),
+            thread: ref('Thread')
+          }
+        }),
+        400: error('Invalid thread ID'),
+        404: error('Thread not found')
+      }
+    }
+  },
+  '/threads/{id}/posts/{postNo}': {
+    get: {
+      tags: ['Threads', 'Posts'],
+      summary: 'Find a post by its number',
+      description: 'The post with number `postNo` (as in "see post #347") with its thread and the page of the thread it is on. `/threads/{id}?post={postNo}` outside the API redirects to that page.',
+      parameters: [
+        param('ThreadId'),
+        { name: 'postNo', in: 'path', required: true, schema: { type: 'integer', minimum: 1 }, description: 'Position in the thread, from 1' },
+        param('PostPageSize')
+      ],
+      responses: {
+        200: ok('Post', ref('PostLocation')),
+        400: error('Invalid thread ID or post number'),
+        404: error('Thread or post not found')
+      }
+    }
+  },
+  '/threads/{id}/export': {
+    get: {
+      tags: ['Threads'],
+      summary: 'Download a thread',
+      description: 'Every post of the thread as a single file.',
+      parameters: [
+        param('ThreadId'),
+        queryParam('format', { type: 'string', enum: Object.keys(THREAD_EXPORT_FORMATS), default: 'md' }, 'File format')
+      ],
+      responses: {
+        200: {
+          description: 'The thread as an attachment',
+          content: Object.fromEntries(Object.values(THREAD_EXPORT_FORMATS).map(({ contentType }) => [
+            contentType.split(';')[0],
+            { schema: contentType.startsWith('text/') ? { type: 'string' } : { type: 'string', format: 'binary' } }
+          ]))
+        },
+        400: error('Invalid thread ID or format'),
+        404: error('Thread not found')
+      }
+    }
+  },
+  '/threads/{id}/search': {
+    get: {
+      tags: ['Threads', 'Search'],
+      summary: 'Search inside a thread',
+      description: 'Hits in reading order. Requires the search index; `in:` operators are ignored.',
+      parameters: [
+        param('ThreadId'),
+        queryParam('q', { type: 'string', example: 'siege' }, 'Full-text query', true),
+        param('Author'),
+        param('After'),
+        param('Before'),
+        param('Page'),
+        param('Limit'),
+        param('PageSize')
+      ],
+      responses: {
+        200: ok('Page of matching posts', {
+          type: 'object',
+          required: ['posts', 'thread', 'pagination', 'filters'],
+          properties: {
+            posts: arrayOf(ref('PostSearchResult')),
+            thread: ref('Thread'),
+            pagination: pagination('totalPosts', 'hasNext'),
+            filters: ref('SearchFilters')
+          }
+        }),
+        400: error('Invalid thread ID, missing query or invalid date'),
+        404: error('Thread not found'),
+        503: error('Search index not available')
+      }
+    }
+  },
+  '/threads/meta/languages': {
+    get: {
+      tags: ['Threads'],
+      summary: 'List languages',
+      responses: {
+        200: ok('Languages with threads', arrayOf({
+          type: 'object',
+          required: ['language'],
+          properties: { language: { type: 'string', example: 'English' } }
+        }))
+      }
+    }
+  },
+  '/threads/meta/categories': {
+    get: {
+      tags: ['Threads'],
+      summary: 'List categories',
+      description: 'Categories of one language, or of every language when `language` is omitted.',
+      parameters: [param('Language')],
+      responses: {
+        200: ok('Categories', {
+          anyOf: [
+            arrayOf({
+              type: 'object',
+              required: ['category', 'thread_count'],
+              properties: {
+                category: { type: 'string' },
+                thread_count: { type: 'integer' }
+              }
+            }),
+            arrayOf({
+              type: 'object',
+              required: ['language', 'category', 'thread_count', 'post_count'],
+              properties: {
+                language: { type: 'string' },
+                category: { type: 'string' },
+                thread_count: { type: 'integer' },
+                post_count: { type: 'integer' }
+              }
+            })
+          ]
+        })
+      }
+    }
+  },
+  '/posts/search': {
+    get: {
+      tags: ['Search'],
+      summary: 'Search posts',
+      description: 'Requires the search index. A query of operators only lists the posts passing them, latest first.',
+      parameters: [
+        queryParam('q', { type: 'string', example: 'siege' }, 'Full-text query with the search syntax', true),
+        param('Language'),
+        param('Category'),
+        param('Author'),
+        param('After'),
+        param('Before'),
+        param('Page'),
+        param('Limit'),
+        param('PageSize')
+      ],
+      responses: {
+        200: ok('Page of matching posts, best first', {
+          type: 'object',
+          required: ['posts', 'pagination', 'filters'],
+          properties: {
+            posts: arrayOf(ref('PostSearchResult')),
+            pagination: pagination('totalPosts', 'hasNext'),
+            filters: ref('SearchFilters')
+          }
+        }),
+        400: error('Missing query or invalid date'),
+        503: error('Search index not available')
+      }
+    }
+  },
+  '/posts/{id}': {
+    get: {
+      tags: ['Posts'],
+      summary: 'Get a post',
+      description: 'The post with its thread and the page of the thread it is on, for permalinks. `/posts/{id}` outside the API redirects to that page.',
+      parameters: [
+        param('PostId'),
+        param('PostPageSize')
+      ],
+      responses: {
+        200: ok('Post', ref('PostLocation')),
+        400: error('Invalid post ID'),
+        404: error('Post not found')
+      }
+    }
+  },
+  '/suggest': {
+    get: {
+      tags: ['Search'],
+      summary: 'Suggestions while typing',
+      description: 'Thread titles and usernames starting with or containing the query. Queries under 2 characters return no suggestions.',
+      parameters: [
+        queryParam('q', { type: 'string', example: 'sie' }, 'Text typed so far'),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 10, default: 5 }, 'Suggestions of each kind')
+      ],
+      responses: {
+        200: ok('Suggestions', {
+          type: 'object',
+          required: ['q', 'threads', 'users'],
+          properties: {
+            q: { type: 'string' },
+            threads: arrayOf({
+              type: 'object',
+              required: ['id', 'name', 'language', 'category'],
+              properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+                language: { type: 'string' },
+                category: { type: 'string' }
+              }
+            }),
+            users: arrayOf({
+              type: 'object',
+              required: ['id', 'name'],
+              properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' }
+              }
+            })
+          }
+        })
+      }
+    }
+  },
+  '/users': {
+    get: {
+      tags: ['Users'],
+      summary: 'List users',
+      description: 'Users with posts, most active first.',
+      parameters: [
+        queryParam('search', { type: 'string' }, 'Part of the username'),
+        param('Page'),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 50 }, 'Users per page'),
+        param('Cursor')
+      ],
+      responses: {
+        200: ok('Page of users', {
+          type: 'object',
+          required: ['users', 'pagination'],
+          properties: {
+            users: arrayOf(ref('User')),
+            pagination: cursorPagination('totalUsers', 'hasNext', {
+              startItem: { type: 'integer', description: 'Not included when paging with a cursor' },
+              endItem: { type: 'integer', description: 'Not included when paging with a cursor' }
+            }),
+            search: { type: 'string' }
+          }
+        }),
+        400: error('Invalid cursor')
+      }
+    }
+  },
+  '/users/{id}': {
+    get: {
+      tags: ['Users'],
+      summary: 'Get a user',
+      parameters: [param('UserId')],
+      responses: {
+        200: ok('User with post statistics', ref('User')),
+        400: error('Invalid user ID'),
+        404: error('User not found')
+      }
+    }
+  },
+  '/users/{id}/posts': {
+    get: {
+      tags: ['Users'],
+      summary: "List a user's posts",
+      description: 'Newest first.',
+      parameters: [param('UserId'), param('Page'), param('Limit'), param('Cursor')],
+      responses: {
+        200: ok('Page of posts', {
+          type: 'object',
+          required: ['posts', 'user', 'pagination'],
+          properties: {
+            posts: arrayOf(ref('Post')),
+            user: ref('User'),
+            pagination: cursorPagination('totalPosts', 'hasMore')
+          }
+        }),
+        400: error('Invalid user ID or cursor'),
+        404: error('User not found')
+      }
+    }
+  },
+  '/users/{id}/threads': {
+    get: {
+      tags: ['Users'],
+      summary: 'List the threads a user posted in',
+      description: 'Most recently joined first.',
+      parameters: [param('UserId'), param('Page'), param('Limit')],
+      responses: {
+        200: ok('Page of threads', {
+          type: 'object',
+          required: ['threads', 'user', 'pagination'],
+          properties: {
+            threads: arrayOf(ref('Thread')),
+            user: ref('User'),
+            pagination: pagination('totalThreads', 'hasMore')
+          }
+        }),
+        400: error('Invalid user ID'),
+        404: error('User not found')
+      }
+    }
+  },
+  '/stats': {
+    get: {
+      tags: ['Statistics'],
+      summary: 'All statistics',
+      description: 'Everything shown on the statistics page in one response.',
+      responses: {
+        200: ok('Statistics', {
+          type: 'object',
+          required: ['overview', 'languages', 'mostActiveUsers', 'yearlyActivity', 'topCategories', 'metadata'],
+          properties: {
+            overview: ref('Overview'),
+            languages: arrayOf(ref('LanguageStats')),
+            mostActiveUsers: arrayOf(ref('ActiveUser')),
+            yearlyActivity: arrayOf(ref('YearlyActivity')),
+            topCategories: arrayOf(ref('CategoryStats')),
+            metadata: {
+              type: 'object',
+              required: ['lastUpdated', 'dataSource'],
+              properties: {
+                lastUpdated: { type: 'string', format: 'date-time' },
+                dataSource: { type: 'string' }
+              }
+            }
+          }
+        })
+      }
+    }
+  },
+  '/stats/overview': {
+    get: {
+      tags: ['Statistics'],
+      summary: 'Totals',
+      responses: { 200: ok('Totals', ref('Overview')) }
+    }
+  },
+  '/stats/languages': {
+    get: {
+      tags: ['Statistics'],
+      summary: 'Posts and threads per language',
+      responses: { 200: ok('Languages, most posts first', arrayOf(ref('LanguageStats'))) }
+    }
+  },
+  '/stats/users': {
+    get: {
+      tags: ['Statistics'],
+      summary: 'Most active users',
+      parameters: [queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Users to return')],
+      responses: { 200: ok('Users, most posts first', arrayOf(ref('ActiveUser'))) }
+    }
+  },
+  '/stats/activity': {
+    get: {
+      tags: ['Statistics'],
+      summary: 'Posts per year',
+      responses: {
+        200: ok('Yearly activity', {
+          type: 'object',
+          required: ['yearlyActivity', 'insights'],
+          properties: {
+            yearlyActivity: arrayOf(ref('YearlyActivity')),
+            insights: {
+              type: 'object',
+              required: ['totalYears', 'totalPosts', 'peakYear', 'peakYearPosts', 'averagePostsPerYear'],
+              properties: {
+                totalYears: { type: 'integer' },
+                totalPosts: { type: 'integer' },
+                peakYear: nullable('string', { description: '"N/A" without posts' }),
+                peakYearPosts: { type: 'integer' },
+                averagePostsPerYear: { type: 'integer' }
+              }
+            }
+          }
+        })
+      }
+    }
+  },
+  '/stats/categories': {
+    get: {
+      tags: ['Statistics'],
+      summary: 'Busiest categories',
+      parameters: [queryParam('limit', { type: 'integer', minimum: 1, maximum: 50, default: 10 }, 'Categories to return')],
+      responses: { 200: ok('Categories, most posts first', arrayOf(ref('CategoryStats'))) }
+    }
+  },
+  '/export/{table}': {
+    get: {
+      tags: ['Export'],
+      summary: 'Dump threads, posts or users',
+      description: 'Streams the whole table in id order. Rows have the fields of the Thread, Post and User schemas.',
+      parameters: [
+        { name: 'table', in: 'path', required: true, schema: { type: 'string', enum: ['threads', 'posts', 'users'] } },
+        queryParam('format', { type: 'string', enum: ['ndjson', 'csv'], default: 'ndjson' }, 'One JSON object per line, or CSV with a header row'),
+        param('Language'),
+        param('Category'),
+        param('After'),
+        param('Before')
+      ],
+      responses: {
+        200: {
+          description: 'The dump as an attachment',
+          content: {
+            'application/x-ndjson': { schema: { type: 'string' } },
+            'text/csv': { schema: { type: 'string' } }
+          }
+        },
+        400: error('Invalid format or date')
+      }
+    }
+  },
+  '/export/category': {
+    get: {
+      tags: ['Export'],
+      summary: 'Download a category as an EPUB book',
+      description: 'One chapter per thread, oldest first.',
+      parameters: [
+        { ...parameters.Category, required: true, description: 'Forum category' },
+        param('Language')
+      ],
+      responses: {
+        200: {
+          description: 'The book as an attachment',
+          content: { 'application/epub+zip': { schema: { type: 'string', format: 'binary' } } }
+        },
+        400: error('Missing category'),
+        404: error('Category not found')
+      }
+    }
+  },
+  '/graphql': {
+    get: {
+      tags: ['GraphQL'],
+      summary: 'Run a GraphQL query',
+      description: 'Read-only GraphQL API with Thread, Post, User, Category and Language types; the schema can be introspected. ' +
+        'Queries may nest fields at most 6 deep and have a complexity (fields times page sizes) of at most 5000.',
+      parameters: [
+        queryParam('query', { type: 'string', example: '{ threads(limit: 5) { id name } }' }, 'GraphQL query', true),
+        queryParam('variables', { type: 'string', example: '{"id": 13}' }, 'Variables as a JSON object'),
+        queryParam('operationName', { type: 'string' }, 'Operation to run when the query has several')
+      ],
+      responses: {
+        200: jsonResponse('Result, with `errors` for fields that failed', ref('GraphQLResponse')),
+        400: jsonResponse('Invalid query or variables, or a query over the limits', ref('GraphQLResponse'))
+      }
+    },
+    post: {
+      tags: ['GraphQL'],
+      summary: 'Run a GraphQL query',
+      description: 'The same as the GET request, with the query in a JSON body.',
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: ref('GraphQLRequest') } }
+      },
+      responses: {
+        200: jsonResponse('Result, with `errors` for fields that failed', ref('GraphQLResponse')),
+        400: jsonResponse('Invalid query or variables, or a query over the limits', ref('GraphQLResponse'))
+      }
+    }
+  },
+  '/health': {
+    get: {
+      tags: ['System'],
+      summary: 'Health check',
+      description: 'Not wrapped in the response envelope.',
+      responses: {
+        200: jsonResponse('Server is up', {
+          type: 'object',
+          required: ['status', 'timestamp', 'uptime'],
+          properties: {
+            status: { type: 'string', enum: ['ok'] },
+            timestamp: { type: 'string', format: 'date-time' },
+            uptime: { type: 'number', description: 'Seconds since the server started' }
+          }
+        })
+      }
+    }
+  }
+};
+
+export const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Regnum Online Forum Archive API',
+    version: '1.0.0',
+    description: 'Read-only API of the Champions of Regnum community forum archive. ' +
+      'JSON responses are wrapped in an envelope with `success`, `status`, `message`, `data` and `timestamp`; ' +
+      'errors carry `success: false` and an `error` with details instead of `data`.'
+  },
+  servers: [{ url: '/api' }],
+  tags: [
+    { name: 'Threads' },
+    { name: 'Posts' },
+    { name: 'Search' },
+    { name: 'Users' },
+    { name: 'Statistics' },
+    { name: 'Export' },
+    { name: 'GraphQL' },
+    { name: 'System' }
+  ],
+  paths,
+  components: { schemas, parameters }
+};
+
+// GET /api/openapi.json - The specification
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+// GET /api/docs - Interactive explorer for the specification
+router.get('/docs', (req, res) => {
+  res.sendFile(EXPLORER_HTML);
+});
+
+// GET /api/docs/swagger-ui/* - Scripts and styles of the explorer, from the
+// installed swagger-ui-dist package
+router.use('/docs/swagger-ui', express.static(getSwaggerUiPath(), { index: false }));
+
+export default router;
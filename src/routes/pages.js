@@ -0,0 +1,240 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import db, { THREAD_SORTS } from '../models/database.js';
+import {
+  validatePagination,
+  formatThreadForApi,
+  formatPostForApi,
+  formatUserForApi,
+  truncateText
+} from '../utils/helpers.js';
+import {
+  serverLinks,
+  threadBreadcrumbs,
+  userBreadcrumbs,
+  listingBreadcrumbs,
+  renderDocument,
+  renderThreadPage,
+  renderListingPage,
+  renderUserPage,
+  renderNotFound
+} from '../utils/render.js';
+import { stripHtmlForIndex } from '../utils/search.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const INDEX_HTML = path.join(__dirname, '../../public/index.html');
+
+// Same page sizes as the SPA, so both render the same page for a URL
+const POSTS_PER_PAGE = 20;
+const THREADS_PER_PAGE = 20;
+
+const router = express.Router();
+
+const KEYWORDS = 'Regnum Online, Champions of Regnum, forum archive, gaming community, discussions, threads, posts';
+
+async function sendPage(res, page, status = 200) {
+  const template = await fs.promises.readFile(INDEX_HTML, 'utf8');
+  res.status(status).send(renderDocument(template, page));
+}
+
+function sendNotFound(res, message) {
+  return sendPage(res, {
+    title: message,
+    description: message,
+    keywords: KEYWORDS,
+    canonicalUrl: '/',
+    content: renderNotFound(message)
+  }, 404);
+}
+
+// GET /threads/:id - Thread title, one page of posts and page links.
+// ?post=N jumps to the page holding post #N.
+router.get('/threads/:id(\\d+)', async (req, res, next) => {
+  try {
+    const threadId = parseInt(req.params.id);
+    const pagination = validatePagination(req.query.page, POSTS_PER_PAGE);
+
+    const row = await db.getThread(threadId);
+    if (!row) {
+      return sendNotFound(res, 'Thread not found');
+    }
+
+    // ?post=N, e.g. for "see post #347", redirects to the page holding it.
+    // Unknown numbers show the requested page.
+    const postNo = parseInt(req.query.post);
+    if (postNo > 0) {
+      const post = await db.getPostByNumber(threadId, postNo, POSTS_PER_PAGE);
+      if (post) {
+        return res.redirect(`${serverLinks.thread(threadId, post.page)}#post-${post.id}`);
+      }
+    }
+
+    const thread = formatThreadForApi(row);
+    const totalPages = Math.ceil(thread.postCount / pagination.limit);
+    if (pagination.page > Math.max(1, totalPages)) {
+      return sendNotFound(res, 'Page not found');
+    }
+
+    const posts = (await db.getPosts(threadId, pagination.limit, pagination.offset)).map(formatPostForApi);
+
+    // The message is HTML; the description wants its text, which
+    // injectMetadata escapes
+    const firstPost = posts.length > 0 && posts[0].postNo === 1
+      ? truncateText(stripHtmlForIndex(posts[0].message), 120)
+      : '';
+
+    await sendPage(res, {
+      title: pagination.page > 1 ? `${thread.name} (page ${pagination.page})` : thread.name,
+      description: firstPost
+        ? `${thread.name} - ${firstPost}`
+        : `${thread.name} - ${thread.category} discussion in ${thread.language}`,
+      keywords: `${thread.name}, ${thread.language}, ${thread.category}, ${KEYWORDS}`,
+      canonicalUrl: serverLinks.thread(threadId, pagination.page),
+      structuredData: {
+        '@type': 'Article',
+        headline: thread.name,
+        author: { '@type': 'Person', name: thread.threadCreator || 'Unknown' },
+        datePublished: thread.createdAt,
+        dateModified: thread.lastPostAt || thread.createdAt,
+        articleSection: thread.category,
+        inLanguage: thread.language
+      },
+      breadcrumbs: threadBreadcrumbs(thread),
+      content: renderThreadPage(thread, posts, { page: pagination.page, totalPages })
+    });
+
+  } catch (error) {
+    console.error('Error rendering thread page:', error);
+    next();
+  }
+});
+
+// GET /posts/:id - Permalink of a post, redirects to the thread page it is on
+router.get('/posts/:id(\\d+)', async (req, res, next) => {
+  try {
+    const post = await db.getPost(parseInt(req.params.id), POSTS_PER_PAGE);
+
+    if (!post) {
+      return sendNotFound(res, 'Post not found');
+    }
+
+    res.redirect(`${serverLinks.thread(post.thread_id, post.page)}#post-${post.id}`);
+
+  } catch (error) {
+    console.error('Error resolving post permalink:', error);
+    next();
+  }
+});
+
+// GET /users/:id - Profile with one page of the user's posts or threads
+router.get('/users/:id(\\d+)', async (req, res, next) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const row = userId > 0 ? await db.getUserWithStats(userId) : null;
+
+    if (!row) {
+      return sendNotFound(res, 'User not found');
+    }
+
+    const user = formatUserForApi(row);
+    const tab = req.query.tab === 'threads' ? 'threads' : 'posts';
+    const pagination = validatePagination(
+      tab === 'threads' ? req.query.threadsPage : req.query.postsPage,
+      THREADS_PER_PAGE
+    );
+
+    const total = tab === 'threads' ? user.threadCount : user.postCount;
+    if (pagination.page > Math.max(1, Math.ceil(total / pagination.limit))) {
+      return sendNotFound(res, 'Page not found');
+    }
+
+    const items = tab === 'threads'
+      ? (await db.getUserThreads(userId, pagination.limit, pagination.offset)).map(formatThreadForApi)
+      : (await db.getUserPosts(userId, pagination.limit, pagination.offset)).map(formatPostForApi);
+
+    await sendPage(res, {
+      title: `${user.name} - Community Member Profile`,
+      description: `View ${user.name}'s profile in the Champions of Regnum community. ${user.postCount} posts, ${user.threadCount} threads.${user.firstPost ? ` Member since ${user.firstPost}.` : ''}`,
+      keywords: `${user.name}, user profile, community member, ${KEYWORDS}`,
+      canonicalUrl: serverLinks.user(userId),
+      structuredData: {
+        '@type': 'ProfilePage',
+        mainEntity: { '@type': 'Person', name: user.name, identifier: userId }
+      },
+      breadcrumbs: userBreadcrumbs(user),
+      content: renderUserPage(user, tab, items, {
+        page: pagination.page,
+        totalPages: Math.ceil(total / pagination.limit)
+      })
+    });
+
+  } catch (error) {
+    console.error('Error rendering user page:', error);
+    next();
+  }
+});
+
+// GET / - Thread listing for the whole forum, a language or a category.
+// Search results are left to the SPA.
+router.get('/', async (req, res, next) => {
+  const { language, category, search, sort } = req.query;
+  if (search) return next();
+
+  // Without a filter or sort the SPA shows a random selection, so there is
+  // no listing to render ahead of it
+  if (!language && !category && !sort) return next();
+
+  try {
+    const listingSort = THREAD_SORTS.includes(sort) ? sort : 'latest';
+    const pagination = validatePagination(req.query.page, THREADS_PER_PAGE);
+
+    const [threads, totalThreads] = await Promise.all([
+      db.getThreads(language, category, pagination.limit, pagination.offset, listingSort),
+      db.getThreadCount(language, category)
+    ]);
+
+    const totalPages = Math.ceil(totalThreads / pagination.limit);
+    if (pagination.page > Math.max(1, totalPages)) {
+      return sendNotFound(res, 'Page not found');
+    }
+
+    let title = 'Regnum Online Forum Archive';
+    let heading = 'Latest Forum Threads';
+
+    if (language || category) {
+      title = heading = `${language || category} Discussions`;
+    }
+
+    if (language && category) {
+      title = heading = `${category} - ${language} Discussions`;
+    }
+
+    const pageUrl = page => serverLinks.listing(language, category, page, listingSort);
+
+    await sendPage(res, {
+      title,
+      description: language
+        ? `Browse ${category ? `${category} discussions in ` : ''}${language} threads from the Champions of Regnum community forum archive.`
+        : category
+        ? `Browse ${category} discussions in every language from the Champions of Regnum community forum archive.`
+        : 'Champions of Regnum community forum archive. Browse threads, posts, and discussions from the Regnum Online gaming community.',
+      keywords: [category, language, KEYWORDS].filter(Boolean).join(', '),
+      canonicalUrl: pageUrl(pagination.page),
+      breadcrumbs: listingBreadcrumbs(language, category),
+      content: renderListingPage(
+        heading,
+        threads.map(formatThreadForApi),
+        { page: pagination.page, totalPages },
+        pageUrl
+      )
+    });
+
+  } catch (error) {
+    console.error('Error rendering thread listing:', error);
+    next();
+  }
+});
+
+export default router;
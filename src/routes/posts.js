@@ -0,0 +1,114 @@
+import express from 'express';
+import db from '../models/database.js';
+import { 
+  createApiResponse, 
+  createErrorResponse, 
+  validatePagination,
+  formatPostForApi,
+  formatThreadForApi,
+  formatPostSearchResultForApi
+} from '../utils/helpers.js';
+import { buildSearchFilters } from '../utils/search.js';
+
+const router = express.Router();
+
+// GET /api/posts/search - Full-text search over individual posts
+router.get('/search', async (req, res) => {
+  try {
+    const { 
+      q, 
+      language, 
+      category, 
+      author, 
+      after, 
+      before, 
+      page = 1, 
+      limit = 20, 
+      pageSize = 20 
+    } = req.query;
+    
+    if (!q || !q.trim()) {
+      return res.status(400).json(createErrorResponse('Search query is required', 400));
+    }
+    
+    const pagination = validatePagination(page, limit);
+    // Page size of the thread view, used to work out which page each hit is on
+    const threadPageSize = validatePagination(1, pageSize).limit;
+    
+    // Operators in the query (author:, in:, ...) fill in missing parameters
+    const filters = buildSearchFilters(q, { language, category, author, after, before });
+    if (filters.error) {
+      return res.status(400).json(createErrorResponse(filters.error, 400));
+    }
+    
+    const posts = await db.searchPosts(
+      filters, 
+      pagination.limit, 
+      pagination.offset, 
+      threadPageSize
+    );
+    const totalPosts = await db.getSearchPostCount(filters);
+    
+    const formattedPosts = posts.map(formatPostSearchResultForApi);
+    
+    res.json(createApiResponse({
+      posts: formattedPosts,
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        totalPages: Math.ceil(totalPosts / pagination.limit),
+        totalPosts,
+        hasNext: pagination.offset + formattedPosts.length < totalPosts,
+        hasPrev: pagination.page > 1
+      },
+      filters: {
+        q,
+        language: filters.language,
+        category: filters.category,
+        author: filters.author,
+        after: filters.after,
+        before: filters.before,
+        highlightTerms: filters.highlightTerms
+      }
+    }));
+    
+  } catch (error) {
+    console.error('Error searching posts:', error);
+    const status = error.status || 500;
+    res.status(status).json(createErrorResponse('Failed to search posts', status, error.message));
+  }
+});
+
+// GET /api/posts/:id - A single post with its thread and the page of the
+// thread view (of `pageSize` posts) it is on, for permalinks
+router.get('/:id', async (req, res) => {
+  try {
+    const postId = parseInt(req.params.id);
+    
+    if (!postId || postId < 1) {
+      return res.status(400).json(createErrorResponse('Invalid post ID', 400));
+    }
+    
+    const pageSize = validatePagination(1, req.query.pageSize).limit;
+    
+    const post = await db.getPost(postId, pageSize);
+    if (!post) {
+      return res.status(404).json(createErrorResponse('Post not found', 404));
+    }
+    
+    const thread = await db.getThread(post.thread_id);
+    
+    res.json(createApiResponse({
+      post: formatPostForApi(post),
+      thread: formatThreadForApi(thread),
+      page: post.page,
+      pageSize
+    }));
+    
+  } catch (error) {
+    console.error('Error fetching post:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch post', 500, error.message));
+  }
+});
+
+export default router;
@@ -0,0 +1,254 @@
+import express from 'express';
+import db from '../models/database.js';
+import { toIsoTimestamp } from '../utils/helpers.js';
+
+const router = express.Router();
+
+// Limit of the sitemaps protocol for a single sitemap file
+const MAX_URLS_PER_SITEMAP = 50000;
+
+// Posts per page of the thread view (/threads/:id?page=N)
+const THREAD_PAGE_SIZE = 20;
+
+// Listings for paths outside the known languages can't be linked
+const UNLISTED_LANGUAGE = 'Other';
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+function getBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+function createUrlEntry(loc, lastPostAt, priority) {
+  const lastmod = toIsoTimestamp(lastPostAt);
+
+  return `
+  <url>
+    <loc>${escapeXml(loc)}</loc>${lastmod ? `
+    <lastmod>${lastmod}</lastmod>` : ''}
+    <priority>${priority}</priority>
+  </url>`;
+}
+
+function sendUrlSet(res, entries) {
+  res.setHeader('Content-Type', 'application/xml');
+  res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries.join('')}
+</urlset>`);
+}
+
+function latest(values) {
+  return values.reduce((max, value) => (value != null && (max == null || value > max) ? value : max), null);
+}
+
+// Thread sitemaps hold every page of a run of threads, split so no file goes
+// over the URL limit. The archive never changes, so the split is computed
+// once per process.
+let threadChunks = null;
+
+function getThreadChunks() {
+  if (!threadChunks) {
+    threadChunks = db.getThreadActivity().then(threads => {
+      const chunks = [];
+      let chunk = null;
+
+      for (const thread of threads) {
+        const pages = Math.max(1, Math.ceil(thread.post_count / THREAD_PAGE_SIZE));
+
+        if (!chunk || chunk.urlCount + pages > MAX_URLS_PER_SITEMAP) {
+          chunk = { threadIds: [], urlCount: 0, lastPostAt: null };
+          chunks.push(chunk);
+        }
+
+        chunk.threadIds.push(thread.id);
+        chunk.urlCount += pages;
+        chunk.lastPostAt = latest([chunk.lastPostAt, thread.last_post_at]);
+      }
+
+      return chunks;
+    });
+    threadChunks.catch(() => { threadChunks = null; });
+  }
+
+  return threadChunks;
+}
+
+// User sitemaps hold the profiles of MAX_URLS_PER_SITEMAP users each, in id
+// order; like the thread chunks, their latest post times are read once
+let userChunks = null;
+
+function getUserChunks() {
+  if (!userChunks) {
+    userChunks = (async () => {
+      const chunks = [];
+
+      for (let offset = 0; ; offset += MAX_URLS_PER_SITEMAP) {
+        const users = await db.getUserActivity(MAX_URLS_PER_SITEMAP, offset);
+        if (users.length === 0) break;
+
+        chunks.push({ lastPostAt: latest(users.map(user => user.last_post_at)) });
+        if (users.length < MAX_URLS_PER_SITEMAP) break;
+      }
+
+      return chunks;
+    })();
+    userChunks.catch(() => { userChunks = null; });
+  }
+
+  return userChunks;
+}
+
+// GET /sitemap.xml - Sitemap index pointing at the chunked sitemaps below
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const baseUrl = getBaseUrl(req);
+    const [chunks, listings, users] = await Promise.all([
+      getThreadChunks(),
+      db.getListingActivity(),
+      getUserChunks()
+    ]);
+
+    const sitemaps = [
+      { loc: `${baseUrl}/sitemaps/pages.xml`, lastPostAt: latest(listings.map(listing => listing.last_post_at)) },
+      ...chunks.map((chunk, index) => ({
+        loc: `${baseUrl}/sitemaps/threads-${index + 1}.xml`,
+        lastPostAt: chunk.lastPostAt
+      })),
+      ...users.map((chunk, index) => ({
+        loc: `${baseUrl}/sitemaps/users-${index + 1}.xml`,
+        lastPostAt: chunk.lastPostAt
+      }))
+    ];
+
+    res.setHeader('Content-Type', 'application/xml');
+    res.send(`<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${sitemaps.map(sitemap => {
+      const lastmod = toIsoTimestamp(sitemap.lastPostAt);
+      return `
+  <sitemap>
+    <loc>${escapeXml(sitemap.loc)}</loc>${lastmod ? `
+    <lastmod>${lastmod}</lastmod>` : ''}
+  </sitemap>`;
+    }).join('')}
+</sitemapindex>`);
+
+  } catch (error) {
+    console.error('Error generating sitemap index:', error);
+    res.status(500).send('Error generating sitemap');
+  }
+});
+
+// GET /sitemaps/pages.xml - Home, users, stats and every language/category listing
+router.get('/sitemaps/pages.xml', async (req, res) => {
+  try {
+    const baseUrl = getBaseUrl(req);
+    const listings = (await db.getListingActivity())
+      .filter(listing => listing.language !== UNLISTED_LANGUAGE);
+    const lastPostAt = latest(listings.map(listing => listing.last_post_at));
+
+    const entries = [
+      createUrlEntry(`${baseUrl}/`, lastPostAt, '1.0'),
+      createUrlEntry(`${baseUrl}/users`, lastPostAt, '0.8'),
+      createUrlEntry(`${baseUrl}/stats`, lastPostAt, '0.7')
+    ];
+
+    const languages = [...new Set(listings.map(listing => listing.language))];
+    for (const language of languages) {
+      const languageLastPostAt = latest(listings
+        .filter(listing => listing.language === language)
+        .map(listing => listing.last_post_at));
+      entries.push(createUrlEntry(
+        `${baseUrl}/?language=${encodeURIComponent(language)}`,
+        languageLastPostAt,
+        '0.9'
+      ));
+    }
+
+    for (const listing of listings) {
+      entries.push(createUrlEntry(
+        `${baseUrl}/?language=${encodeURIComponent(listing.language)}&category=${encodeURIComponent(listing.category)}`,
+        listing.last_post_at,
+        '0.8'
+      ));
+    }
+
+    sendUrlSet(res, entries);
+
+  } catch (error) {
+    console.error('Error generating pages sitemap:', error);
+    res.status(500).send('Error generating sitemap');
+  }
+});
+
+// GET /sitemaps/threads-:chunk.xml - Every page of a run of threads
+router.get('/sitemaps/threads-:chunk(\\d+).xml', async (req, res) => {
+  try {
+    const chunks = await getThreadChunks();
+    const chunk = chunks[parseInt(req.params.chunk) - 1];
+
+    if (!chunk) {
+      return res.status(404).send('Sitemap not found');
+    }
+
+    const baseUrl = getBaseUrl(req);
+    const { threadIds } = chunk;
+    const pages = await db.getThreadPageActivity(
+      threadIds[0], 
+      threadIds[threadIds.length - 1], 
+      THREAD_PAGE_SIZE
+    );
+
+    const pagesByThread = new Map();
+    for (const page of pages) {
+      if (!pagesByThread.has(page.thread_id)) pagesByThread.set(page.thread_id, []);
+      pagesByThread.get(page.thread_id).push(page);
+    }
+
+    const entries = [];
+    for (const threadId of threadIds) {
+      // Threads without posts still get their first page listed
+      const threadPages = pagesByThread.get(threadId) || [{ page_index: 0, last_post_at: null }];
+
+      for (const page of threadPages) {
+        const loc = page.page_index === 0
+          ? `${baseUrl}/threads/${threadId}`
+          : `${baseUrl}/threads/${threadId}?page=${page.page_index + 1}`;
+        entries.push(createUrlEntry(loc, page.last_post_at, page.page_index === 0 ? '0.6' : '0.5'));
+      }
+    }
+
+    sendUrlSet(res, entries);
+
+  } catch (error) {
+    console.error('Error generating threads sitemap:', error);
+    res.status(500).send('Error generating sitemap');
+  }
+});
+
+// GET /sitemaps/users-:chunk.xml - User profiles, in id order
+router.get('/sitemaps/users-:chunk(\\d+).xml', async (req, res) => {
+  try {
+    const chunk = parseInt(req.params.chunk);
+    const users = chunk >= 1
+      ? await db.getUserActivity(MAX_URLS_PER_SITEMAP, (chunk - 1) * MAX_URLS_PER_SITEMAP)
+      : [];
+
+    if (users.length === 0) {
+      return res.status(404).send('Sitemap not found');
+    }
+
+    const baseUrl = getBaseUrl(req);
+    sendUrlSet(res, users.map(user =>
+      createUrlEntry(`${baseUrl}/users/${user.id}`, user.last_post_at, '0.5')));
+
+  } catch (error) {
+    console.error('Error generating users sitemap:', error);
+    res.status(500).send('Error generating sitemap');
+  }
+});
+
+export default router;
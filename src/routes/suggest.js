@@ -0,0 +1,52 @@
+import express from 'express';
+import db from '../models/database.js';
+import {
+  createApiResponse,
+  createErrorResponse,
+  getLanguageFromPath,
+  getCategoryFromPath
+} from '../utils/helpers.js';
+
+const router = express.Router();
+
+// Shorter queries match too much to be useful as suggestions
+const MIN_QUERY_LENGTH = 2;
+const MAX_SUGGESTIONS = 10;
+
+// GET /api/suggest - Thread titles and usernames for search-as-you-type
+router.get('/', async (req, res) => {
+  try {
+    const { q = '', limit = 5 } = req.query;
+    const query = String(q).trim();
+    const suggestionLimit = Math.min(MAX_SUGGESTIONS, Math.max(1, parseInt(limit) || 5));
+
+    if (query.length < MIN_QUERY_LENGTH) {
+      return res.json(createApiResponse({ q: query, threads: [], users: [] }));
+    }
+
+    const [threads, users] = await Promise.all([
+      db.suggestThreads(query, suggestionLimit),
+      db.suggestUsers(query, suggestionLimit)
+    ]);
+
+    res.json(createApiResponse({
+      q: query,
+      threads: threads.map(thread => ({
+        id: thread.id,
+        name: thread.name,
+        language: getLanguageFromPath(thread.path),
+        category: getCategoryFromPath(thread.path)
+      })),
+      users: users.map(user => ({
+        id: user.id,
+        name: user.name
+      }))
+    }));
+
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch suggestions', 500, error.message));
+  }
+});
+
+export default router;
@@ -1,36 +1,117 @@
 import express from 'express';
-import db from '../models/database.js';
+import db, { THREAD_SORTS } from '../models/database.js';
 import { 
   createApiResponse, 
   createErrorResponse, 
   validatePagination, 
   formatThreadForApi,
-  formatPostForApi
+  formatPostForApi,
+  formatPostSearchResultForApi,
+  formatThreadParticipantForApi,
+  isListedThreadPath,
+  createRandomSeed,
+  decodeCursor,
+  takePage
 } from '../utils/helpers.js';
+import { buildSearchFilters } from '../utils/search.js';
+import {
+  THREAD_EXPORT_FORMATS,
+  renderThreadExport,
+  writeThreadEpub,
+  getThreadExportFilename
+} from '../utils/thread-export.js';
 
 const router = express.Router();
 
 // GET /api/threads - Get threads with filtering and pagination
 router.get('/', async (req, res) => {
   try {
-    const { language, category, search, page = 1, limit = 20 } = req.query;
+    const { 
+      language, 
+      category, 
+      search, 
+      author, 
+      after, 
+      before, 
+      random, 
+      seed, 
+      sort, 
+      page = 1, 
+      limit = 20 
+    } = req.query;
     const pagination = validatePagination(page, limit);
     
-    let threads, totalThreads;
+    if (seed !== undefined && !/^\d{1,10}$/.test(seed)) {
+      return res.status(400).json(createErrorResponse('Invalid seed', 400));
+    }
+    
+    if (sort !== undefined && !THREAD_SORTS.includes(sort)) {
+      return res.status(400).json(createErrorResponse(
+        `Invalid sort, expected one of: ${THREAD_SORTS.join(', ')}`, 400));
+    }
+    
+    let threads, totalThreads, filters;
     
     if (search) {
-      // Search threads
-      threads = await db.searchThreads(search, language);
-      totalThreads = threads.length; // For search, we get all results
+      // Search threads through the full-text index, best matches first.
+      // Operators in the query (author:, in:, ...) fill in missing parameters.
+      const searchFilters = buildSearchFilters(search, { language, category, author, after, before });
+      if (searchFilters.error) {
+        return res.status(400).json(createErrorResponse(searchFilters.error, 400));
+      }
+      
+      threads = await db.searchThreads(
+        searchFilters, 
+        pagination.limit, 
+        pagination.offset
+      );
+      totalThreads = await db.getSearchThreadCount(searchFilters);
+      filters = {
+        language: searchFilters.language,
+        category: searchFilters.category,
+        search,
+        author: searchFilters.author,
+        after: searchFilters.after,
+        before: searchFilters.before,
+        highlightTerms: searchFilters.highlightTerms
+      };
+    } else if (random === 'true' || random === '1') {
+      // Random sample; the seed is returned so the same shuffle can be
+      // requested again (and shared) page by page
+      const shuffleSeed = seed !== undefined ? Number(seed) % 2 ** 32 : createRandomSeed();
+      threads = await db.getRandomThreads(
+        language, 
+        category, 
+        pagination.limit, 
+        pagination.offset, 
+        shuffleSeed
+      );
+      totalThreads = await db.getThreadCount(language, category);
+      filters = {
+        language,
+        category,
+        search,
+        random: true,
+        seed: shuffleSeed
+      };
     } else {
-      // Get threads with optional filtering
+      // Get threads with optional filtering, latest activity first unless
+      // another sort is requested
+      const threadSort = sort || 'latest';
       threads = await db.getThreads(
         language, 
         category, 
         pagination.limit, 
-        pagination.offset
+        pagination.offset, 
+        threadSort
       );
       totalThreads = await db.getThreadCount(language, category);
+      filters = {
+        language,
+        category,
+        search,
+        sort: threadSort
+      };
     }
     
     // Format threads for API response
@@ -46,28 +127,32 @@ router.get('/', async (req, res) => {
         hasNext: pagination.offset + formattedThreads.length < totalThreads,
         hasPrev: pagination.page > 1
       },
-      filters: {
-        language,
-        category,
-        search
-      }
+      filters
     }));
     
   } catch (error) {
     console.error('Error fetching threads:', error);
-    res.status(500).json(createErrorResponse('Failed to fetch threads', 500, error.message));
+    const status = error.status || 500;
+    res.status(status).json(createErrorResponse('Failed to fetch threads', status, error.message));
   }
 });
 
-// GET /api/threads/:id - Get specific thread details
+// GET /api/threads/:id - Get specific thread details, with the threads
+// before and after it in its category listing under `sort`
 router.get('/:id', async (req, res) => {
   try {
     const threadId = parseInt(req.params.id);
+    const { sort = 'latest' } = req.query;
     
     if (!threadId || threadId < 1) {
       return res.status(400).json(createErrorResponse('Invalid thread ID', 400));
     }
     
+    if (!THREAD_SORTS.includes(sort)) {
+      return res.status(400).json(createErrorResponse(
+        `Invalid sort, expected one of: ${THREAD_SORTS.join(', ')}`, 400));
+    }
+    
     const thread = await db.getThread(threadId);
     
     if (!thread) {
@@ -82,6 +167,15 @@ router.get('/:id', async (req, res) => {
       postCount
     };
     
+    // Threads outside the listings have no neighbours to step to
+    if (isListedThreadPath(thread.path)) {
+      const neighbors = await db.getThreadNeighbors(
+        threadId, formattedThread.language, formattedThread.category, sort);
+      formattedThread.neighbors = { sort, ...neighbors };
+    } else {
+      formattedThread.neighbors = null;
+    }
+    
     res.json(createApiResponse(formattedThread));
     
   } catch (error) {
@@ -90,16 +184,27 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// GET /api/threads/:id/posts - Get posts for a specific thread
+// GET /api/threads/:id/posts - Get posts for a specific thread, by page or
+// after the `cursor` of the previous page, optionally only those of `userId`
 router.get('/:id/posts', async (req, res) => {
   try {
     const threadId = parseInt(req.params.id);
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, cursor } = req.query;
+    const userId = req.query.userId !== undefined ? parseInt(req.query.userId) : null;
     
     if (!threadId || threadId < 1) {
       return res.status(400).json(createErrorResponse('Invalid thread ID', 400));
     }
     
+    if (userId !== null && !(userId >= 1)) {
+      return res.status(400).json(createErrorResponse('Invalid user ID', 400));
+    }
+    
+    const position = cursor !== undefined ? decodeCursor(cursor, ['postNo']) : null;
+    if (cursor !== undefined && !position) {
+      return res.status(400).json(createErrorResponse('Invalid cursor', 400));
+    }
+    
     const pagination = validatePagination(page, limit);
     
     // Check if thread exists
@@ -108,22 +213,25 @@ router.get('/:id/posts', async (req, res) => {
       return res.status(404).json(createErrorResponse('Thread not found', 404));
     }
     
-    // Get posts
-    const posts = await db.getPosts(threadId, pagination.limit, pagination.offset);
-    const totalPosts = await db.getPostCount(threadId);
+    // Get posts, with one more to tell whether another page follows
+    const rows = await db.getPosts(threadId, pagination.limit + 1, pagination.offset, position, userId);
+    const posts = takePage(rows, pagination.limit, post => ({ postNo: post.post_no }));
+    const totalPosts = await db.getPostCount(threadId, userId);
     
-    const formattedPosts = posts.map(formatPostForApi);
+    const formattedPosts = posts.items.map(formatPostForApi);
     
     res.json(createApiResponse({
       posts: formattedPosts,
       thread: formatThreadForApi(thread),
       pagination: {
-        page: pagination.page,
+        // Pages are not numbered when paging with a cursor
+        page: position ? null : pagination.page,
         limit: pagination.limit,
         totalPages: Math.ceil(totalPosts / pagination.limit),
         totalPosts,
-        hasMore: pagination.offset + posts.length < totalPosts,
-        hasPrev: pagination.page > 1
+        hasMore: posts.hasMore,
+        hasPrev: position ? true : pagination.page > 1,
+        nextCursor: posts.nextCursor
       }
     }));
     
@@ -133,6 +241,194 @@ router.get('/:id/posts', async (req, res) => {
   }
 });
 
+// GET /api/threads/:id/posts/:postNo - Post number postNo of a thread with
+// the page of the thread view (of `pageSize` posts) it is on
+router.get('/:id/posts/:postNo', async (req, res) => {
+  try {
+    const threadId = parseInt(req.params.id);
+    const postNo = parseInt(req.params.postNo);
+    
+    if (!threadId || threadId < 1) {
+      return res.status(400).json(createErrorResponse('Invalid thread ID', 400));
+    }
+    
+    if (!postNo || postNo < 1) {
+      return res.status(400).json(createErrorResponse('Invalid post number', 400));
+    }
+    
+    const pageSize = validatePagination(1, req.query.pageSize).limit;
+    
+    const thread = await db.getThread(threadId);
+    if (!thread) {
+      return res.status(404).json(createErrorResponse('Thread not found', 404));
+    }
+    
+    const post = await db.getPostByNumber(threadId, postNo, pageSize);
+    if (!post) {
+      return res.status(404).json(createErrorResponse(`Post #${postNo} not found in this thread`, 404));
+    }
+    
+    res.json(createApiResponse({
+      post: formatPostForApi(post),
+      thread: formatThreadForApi(thread),
+      page: post.page,
+      pageSize
+    }));
+    
+  } catch (error) {
+    console.error('Error fetching thread post:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch thread post', 500, error.message));
+  }
+});
+
+// GET /api/threads/:id/participants - Registered users who posted in a
+// thread with their post count and first and last post there
+router.get('/:id/participants', async (req, res) => {
+  try {
+    const threadId = parseInt(req.params.id);
+    
+    if (!threadId || threadId < 1) {
+      return res.status(400).json(createErrorResponse('Invalid thread ID', 400));
+    }
+    
+    const thread = await db.getThread(threadId);
+    if (!thread) {
+      return res.status(404).json(createErrorResponse('Thread not found', 404));
+    }
+    
+    const participants = await db.getThreadParticipants(threadId);
+    
+    res.json(createApiResponse({
+      participants: participants.map(formatThreadParticipantForApi),
+      thread: formatThreadForApi(thread)
+    }));
+    
+  } catch (error) {
+    console.error('Error fetching thread participants:', error);
+    res.status(500).json(createErrorResponse('Failed to fetch thread participants', 500, error.message));
+  }
+});
+
+// GET /api/threads/:id/export - Download every post of a thread as
+// Markdown, plain text, a standalone HTML page or an EPUB book
+router.get('/:id/export', async (req, res) => {
+  try {
+    const threadId = parseInt(req.params.id);
+    const { format = 'md' } = req.query;
+    
+    if (!threadId || threadId < 1) {
+      return res.status(400).json(createErrorResponse('Invalid thread ID', 400));
+    }
+    
+    if (!THREAD_EXPORT_FORMATS[format]) {
+      return res.status(400).json(createErrorResponse(
+        `Invalid format, expected one of: ${Object.keys(THREAD_EXPORT_FORMATS).join(', ')}`, 400));
+    }
+    
+    const row = await db.getThread(threadId);
+    if (!row) {
+      return res.status(404).json(createErrorResponse('Thread not found', 404));
+    }
+    
+    const thread = formatThreadForApi(row);
+    // formatPostForApi passes every message through sanitizeHtmlContent
+    const posts = (await db.getPosts(threadId, thread.postCount, 0)).map(formatPostForApi);
+    const sourceUrl = `${req.protocol}://${req.get('host')}/threads/${threadId}`;
+    
+    res.setHeader('Content-Type', THREAD_EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${getThreadExportFilename(thread, format)}"`);
+    
+    if (format === 'epub') {
+      await writeThreadEpub(res, thread, posts, sourceUrl);
+      return res.end();
+    }
+    
+    res.send(renderThreadExport(format, thread, posts, sourceUrl));
+    
+  } catch (error) {
+    console.error('Error exporting thread:', error);
+    
+    if (res.headersSent) {
+      // Abort a book that is already being sent
+      res.destroy(error);
+    } else {
+      res.status(500).json(createErrorResponse('Failed to export thread', 500, error.message));
+    }
+  }
+});
+
+// GET /api/threads/:id/search - Find posts inside a single thread
+router.get('/:id/search', async (req, res) => {
+  try {
+    const threadId = parseInt(req.params.id);
+    const { q, author, after, before, page = 1, limit = 20, pageSize = 20 } = req.query;
+    
+    if (!threadId || threadId < 1) {
+      return res.status(400).json(createErrorResponse('Invalid thread ID', 400));
+    }
+    
+    if (!q || !q.trim()) {
+      return res.status(400).json(createErrorResponse('Search query is required', 400));
+    }
+    
+    const pagination = validatePagination(page, limit);
+    // Page size of the thread view, used to work out which page each hit is on
+    const threadPageSize = validatePagination(1, pageSize).limit;
+    
+    // Check if thread exists
+    const thread = await db.getThread(threadId);
+    if (!thread) {
+      return res.status(404).json(createErrorResponse('Thread not found', 404));
+    }
+    
+    // Language and category operators make no sense inside one thread
+    const filters = {
+      ...buildSearchFilters(q, { author, after, before }),
+      language: null,
+      category: null,
+      threadId
+    };
+    if (filters.error) {
+      return res.status(400).json(createErrorResponse(filters.error, 400));
+    }
+    
+    const posts = await db.searchPosts(
+      filters, 
+      pagination.limit, 
+      pagination.offset, 
+      threadPageSize
+    );
+    const totalPosts = await db.getSearchPostCount(filters);
+    
+    const formattedPosts = posts.map(formatPostSearchResultForApi);
+    
+    res.json(createApiResponse({
+      posts: formattedPosts,
+      thread: formatThreadForApi(thread),
+      pagination: {
+        page: pagination.page,
+        limit: pagination.limit,
+        totalPages: Math.ceil(totalPosts / pagination.limit),
+        totalPosts,
+        hasNext: pagination.offset + formattedPosts.length < totalPosts,
+        hasPrev: pagination.page > 1
+      },
+      filters: {
+        q,
+        author: filters.author,
+        after: filters.after,
+        before: filters.before,
+        highlightTerms: filters.highlightTerms
+      }
+    }));
+    
+  } catch (error) {
+    console.error('Error searching thread:', error);
+    const status = error.status || 500;
+    res.status(status).json(createErrorResponse('Failed to search thread', status, error.message));
+  }
+});
+
 // GET /api/threads/languages - Get available languages
 router.get('/meta/languages', async (req, res) => {
   try {
@@ -6,33 +6,44 @@ import {
   validatePagination,
   formatUserForApi,
   formatPostForApi,
-  formatThreadForApi
+  formatThreadForApi,
+  decodeCursor,
+  takePage
 } from '../utils/helpers.js';
 
 const router = express.Router();
 
-// GET /api/users - Get users with pagination and search
+// GET /api/users - Get users with pagination and search, by page or after
+// the `cursor` of the previous page
 router.get('/', async (req, res) => {
   try {
-    const { search, page = 1, limit = 50 } = req.query;
+    const { search, page = 1, limit = 50, cursor } = req.query;
     const pagination = validatePagination(page, limit);
     
-    const users = await db.getUserList(pagination.limit, pagination.offset, search);
+    const position = cursor !== undefined ? decodeCursor(cursor, ['postCount', 'id']) : null;
+    if (cursor !== undefined && !position) {
+      return res.status(400).json(createErrorResponse('Invalid cursor', 400));
+    }
+    
+    const rows = await db.getUserList(pagination.limit + 1, pagination.offset, search, position);
+    const users = takePage(rows, pagination.limit, user => ({ postCount: user.post_count, id: user.id }));
     const totalUsers = await db.getUserCount(search);
     
-    const formattedUsers = users.map(formatUserForApi);
+    const formattedUsers = users.items.map(formatUserForApi);
     
     res.json(createApiResponse({
       users: formattedUsers,
       pagination: {
-        page: pagination.page,
+        // Pages and item numbers are not known when paging with a cursor
+        page: position ? null : pagination.page,
         limit: pagination.limit,
         totalPages: Math.ceil(totalUsers / pagination.limit),
         totalUsers,
-        hasNext: pagination.offset + users.length < totalUsers,
-        hasPrev: pagination.page > 1,
-        startItem: pagination.offset + 1,
-        endItem: Math.min(pagination.offset + pagination.limit, totalUsers)
+        hasNext: users.hasMore,
+        hasPrev: position ? true : pagination.page > 1,
+        startItem: position ? undefined : pagination.offset + 1,
+        endItem: position ? undefined : Math.min(pagination.offset + pagination.limit, totalUsers),
+        nextCursor: users.nextCursor
       },
       search
     }));
@@ -68,16 +79,22 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// GET /api/users/:id/posts - Get posts by a specific user
+// GET /api/users/:id/posts - Get posts by a specific user, newest first, by
+// page or after the `cursor` of the previous page
 router.get('/:id/posts', async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, cursor } = req.query;
     
     if (!userId || userId < 1) {
       return res.status(400).json(createErrorResponse('Invalid user ID', 400));
     }
     
+    const position = cursor !== undefined ? decodeCursor(cursor, ['postedAt', 'id']) : null;
+    if (cursor !== undefined && !position) {
+      return res.status(400).json(createErrorResponse('Invalid cursor', 400));
+    }
+    
     const pagination = validatePagination(page, limit);
     
     // Check if user exists
@@ -86,22 +103,25 @@ router.get('/:id/posts', async (req, res) => {
       return res.status(404).json(createErrorResponse('User not found', 404));
     }
     
-    // Get user posts
-    const posts = await db.getUserPosts(userId, pagination.limit, pagination.offset);
+    // Get user posts, with one more to tell whether another page follows
+    const rows = await db.getUserPosts(userId, pagination.limit + 1, pagination.offset, position);
+    const posts = takePage(rows, pagination.limit, post => ({ postedAt: post.posted_at, id: post.id }));
     const totalPosts = user.total_posts || 0;
     
-    const formattedPosts = posts.map(formatPostForApi);
+    const formattedPosts = posts.items.map(formatPostForApi);
     
     res.json(createApiResponse({
       posts: formattedPosts,
       user: formatUserForApi(user),
       pagination: {
-        page: pagination.page,
+        // Pages are not numbered when paging with a cursor
+        page: position ? null : pagination.page,
         limit: pagination.limit,
         totalPages: Math.ceil(totalPosts / pagination.limit),
         totalPosts,
-        hasMore: pagination.offset + posts.length < totalPosts,
-        hasPrev: pagination.page > 1
+        hasMore: posts.hasMore,
+        hasPrev: position ? true : pagination.page > 1,
+        nextCursor: posts.nextCursor
       }
     }));
     
@@ -0,0 +1,312 @@
+// One-off command that builds the sidecar index database for the archive.
+//
+// The forum database is opened read-only by the server, so everything that
+// has to be precomputed lives in a separate SQLite file which the server
+// attaches on startup. Run it again whenever regnumforum.db is replaced:
+//
+//   npm run build:index
+import sqlite3 from 'sqlite3';
+import fs from 'fs';
+import { stripHtmlForIndex } from '../utils/search.js';
+import { getLanguageFromPath, getCategoryFromPath, parseTimestamp } from '../utils/helpers.js';
+import { INDEX_VERSION, getIndexDbPath } from '../utils/index-db.js';
+
+// Same defaults as src/models/database.js
+const dbPath = process.env.DB_PATH || '/var/lib/sqlite/regnumforum.db';
+const indexPath = getIndexDbPath(dbPath);
+
+const BATCH_SIZE = 5000;
+
+function open(file, mode) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(file, mode, (err) => {
+      if (err) reject(err);
+      else resolve(db);
+    });
+  });
+}
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+function close(db) {
+  return new Promise((resolve) => db.close(() => resolve()));
+}
+
+// Insert rows inside a single transaction using a prepared statement
+async function insertBatch(db, sql, rows) {
+  await run(db, 'BEGIN');
+  const stmt = db.prepare(sql);
+  for (const row of rows) {
+    await new Promise((resolve, reject) => {
+      stmt.run(row, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+  await new Promise((resolve) => stmt.finalize(resolve));
+  await run(db, 'COMMIT');
+}
+
+// Full-text index over thread titles
+async function buildThreadsFts(source, index) {
+  console.log('🔎 Indexing thread titles...');
+
+  await run(index, 'DROP TABLE IF EXISTS threads_fts');
+  await run(index, `
+    CREATE VIRTUAL TABLE threads_fts USING fts5(
+      name,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  let lastId = 0;
+  let total = 0;
+
+  for (;;) {
+    const rows = await all(source,
+      'SELECT id, name FROM threads WHERE id > ? ORDER BY id LIMIT ?',
+      [lastId, BATCH_SIZE]);
+    if (rows.length === 0) break;
+
+    await insertBatch(index,
+      'INSERT INTO threads_fts (rowid, name) VALUES (?, ?)',
+      rows.map(row => [row.id, row.name || '']));
+
+    lastId = rows[rows.length - 1].id;
+    total += rows.length;
+  }
+
+  console.log(`   ${total} threads indexed`);
+}
+
+// Full-text index over post bodies, with markup stripped
+async function buildPostsFts(source, index) {
+  console.log('🔎 Indexing post messages...');
+
+  await run(index, 'DROP TABLE IF EXISTS posts_fts');
+  await run(index, `
+    CREATE VIRTUAL TABLE posts_fts USING fts5(
+      message,
+      thread_id UNINDEXED,
+      tokenize = 'unicode61 remove_diacritics 2'
+    )
+  `);
+
+  let lastId = 0;
+  let total = 0;
+
+  for (;;) {
+    const rows = await all(source,
+      'SELECT id, thread_id, message FROM posts WHERE id > ? ORDER BY id LIMIT ?',
+      [lastId, BATCH_SIZE]);
+    if (rows.length === 0) break;
+
+    await insertBatch(index,
+      'INSERT INTO posts_fts (rowid, message, thread_id) VALUES (?, ?, ?)',
+      rows.map(row => [row.id, stripHtmlForIndex(row.message), row.thread_id]));
+
+    lastId = rows[rows.length - 1].id;
+    total += rows.length;
+    if (total % (BATCH_SIZE * 20) === 0) {
+      console.log(`   ${total} posts indexed...`);
+    }
+  }
+
+  console.log(`   ${total} posts indexed`);
+  await run(index, "INSERT INTO posts_fts (posts_fts) VALUES ('optimize')");
+}
+
+// Post times as epoch seconds, parsed once from the archive's
+// "DD-MM-YYYY, hh:mm AM" strings so they can be sorted and compared
+async function buildPostTimes(source, index) {
+  console.log('🕒 Normalizing post timestamps...');
+
+  await run(index, 'DROP TABLE IF EXISTS post_times');
+  await run(index, `
+    CREATE TABLE post_times (
+      post_id INTEGER PRIMARY KEY,
+      thread_id INTEGER NOT NULL,
+      user_id INTEGER,
+      posted_at INTEGER
+    )
+  `);
+
+  let lastId = 0;
+  let total = 0;
+  let unparsed = 0;
+
+  for (;;) {
+    const rows = await all(source,
+      'SELECT id, thread_id, user_id, timestamp FROM posts WHERE id > ? ORDER BY id LIMIT ?',
+      [lastId, BATCH_SIZE]);
+    if (rows.length === 0) break;
+
+    await insertBatch(index,
+      'INSERT INTO post_times VALUES (?, ?, ?, ?)',
+      rows.map(row => {
+        const postedAt = parseTimestamp(row.timestamp);
+        if (postedAt === null) unparsed++;
+        return [row.id, row.thread_id, row.user_id, postedAt];
+      }));
+
+    lastId = rows[rows.length - 1].id;
+    total += rows.length;
+  }
+
+  await run(index, 'CREATE INDEX idx_post_times_thread ON post_times (thread_id, posted_at)');
+  await run(index, 'CREATE INDEX idx_post_times_user ON post_times (user_id, posted_at)');
+  await run(index, 'CREATE INDEX idx_post_times_posted ON post_times (posted_at)');
+
+  console.log(`   ${total} timestamps normalized${unparsed ? `, ${unparsed} could not be parsed` : ''}`);
+}
+
+// Per-thread aggregates used by the thread listings: post and participant
+// counts, creator (lowest post number), earliest and latest post, and
+// language/category parsed from the path
+async function buildThreadSummary(source, index) {
+  console.log('📊 Summarizing threads...');
+
+  await run(index, 'DROP TABLE IF EXISTS thread_summary');
+  await run(index, `
+    CREATE TABLE thread_summary (
+      thread_id INTEGER PRIMARY KEY,
+      language TEXT NOT NULL,
+      category TEXT NOT NULL,
+      post_count INTEGER NOT NULL,
+      participant_count INTEGER NOT NULL,
+      created_at INTEGER,
+      thread_creator_id INTEGER,
+      thread_creator TEXT,
+      last_post_at INTEGER,
+      last_poster_id INTEGER,
+      last_poster TEXT
+    )
+  `);
+
+  const usernames = new Map();
+  for (const user of await all(source, 'SELECT id, name FROM users')) {
+    usernames.set(user.id, user.name);
+  }
+
+  // One pass over all posts, keeping the opening, earliest and latest post
+  // of each thread and the registered users who posted in it
+  const stats = new Map();
+  let lastId = 0;
+
+  for (;;) {
+    const rows = await all(source,
+      'SELECT id, thread_id, post_no, user_id, timestamp FROM posts WHERE id > ? ORDER BY id LIMIT ?',
+      [lastId, BATCH_SIZE]);
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      const post = { ...row, postedAt: parseTimestamp(row.timestamp) };
+      const thread = stats.get(post.thread_id);
+      if (!thread) {
+        const participants = new Set();
+        if (post.user_id > 0) participants.add(post.user_id);
+        stats.set(post.thread_id, { postCount: 1, participants, opening: post, first: post, last: post });
+        continue;
+      }
+
+      thread.postCount++;
+      if (post.user_id > 0) thread.participants.add(post.user_id);
+      if (post.post_no < thread.opening.post_no) thread.opening = post;
+      if (post.postedAt !== null) {
+        if (thread.first.postedAt === null || post.postedAt < thread.first.postedAt) thread.first = post;
+        if (thread.last.postedAt === null || post.postedAt > thread.last.postedAt) thread.last = post;
+      }
+    }
+
+    lastId = rows[rows.length - 1].id;
+  }
+
+  lastId = 0;
+  let total = 0;
+
+  for (;;) {
+    const rows = await all(source,
+      'SELECT id, path FROM threads WHERE id > ? ORDER BY id LIMIT ?',
+      [lastId, BATCH_SIZE]);
+    if (rows.length === 0) break;
+
+    await insertBatch(index,
+      'INSERT INTO thread_summary VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      rows.map(row => {
+        const thread = stats.get(row.id);
+        const path = row.path || '';
+        return [
+          row.id,
+          getLanguageFromPath(path),
+          getCategoryFromPath(path),
+          thread ? thread.postCount : 0,
+          thread ? thread.participants.size : 0,
+          thread ? thread.first.postedAt : null,
+          thread ? thread.opening.user_id : null,
+          thread ? usernames.get(thread.opening.user_id) ?? null : null,
+          thread ? thread.last.postedAt : null,
+          thread ? thread.last.user_id : null,
+          thread ? usernames.get(thread.last.user_id) ?? null : null
+        ];
+      }));
+
+    lastId = rows[rows.length - 1].id;
+    total += rows.length;
+  }
+
+  await run(index, 'CREATE INDEX idx_thread_summary_listing ON thread_summary (language, category, last_post_at)');
+  await run(index, 'CREATE INDEX idx_thread_summary_last_post ON thread_summary (last_post_at)');
+  await run(index, 'CREATE INDEX idx_thread_summary_post_count ON thread_summary (post_count)');
+  await run(index, 'CREATE INDEX idx_thread_summary_participants ON thread_summary (participant_count)');
+  await run(index, 'CREATE INDEX idx_thread_summary_created ON thread_summary (created_at)');
+
+  console.log(`   ${total} threads summarized`);
+}
+
+async function main() {
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`Forum database not found at ${dbPath}`);
+  }
+
+  console.log(`📚 Reading ${dbPath}`);
+  console.log(`🗂️  Writing index to ${indexPath}`);
+
+  const source = await open(dbPath, sqlite3.OPEN_READONLY);
+  const index = await open(indexPath, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE);
+
+  try {
+    await run(index, 'PRAGMA journal_mode=OFF');
+    await run(index, 'PRAGMA synchronous=OFF');
+
+    await buildThreadsFts(source, index);
+    await buildPostsFts(source, index);
+    await buildPostTimes(source, index);
+    await buildThreadSummary(source, index);
+
+    await run(index, `PRAGMA user_version = ${INDEX_VERSION}`);
+    await run(index, 'VACUUM');
+    console.log('✅ Index build complete');
+  } finally {
+    await close(source);
+    await close(index);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Index build failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+
+// Checks the API against its OpenAPI description (src/routes/openapi.js):
+// calls every documented operation on an in-process server over the
+// configured database and validates status codes and response bodies
+// against the schemas, and reports routes of the API routers that are
+// missing from the specification. A call also fails when its route logs an
+// error, unless an error status was expected. Exits with status 1 on any
+// failure.
+//
+// Usage: npm run check:openapi (npm test runs it on a fixture database)
+import { AsyncLocalStorage } from 'async_hooks';
+import { format } from 'util';
+import express from 'express';
+import db from '../models/database.js';
+import threadsRouter from '../routes/threads.js';
+import usersRouter from '../routes/users.js';
+import statsRouter from '../routes/stats.js';
+import postsRouter from '../routes/posts.js';
+import suggestRouter from '../routes/suggest.js';
+import exportRouter from '../routes/export.js';
+import graphqlRouter from '../routes/graphql.js';
+import { openApiSpec } from '../routes/openapi.js';
+
+const ROUTERS = {
+  '/threads': threadsRouter,
+  '/users': usersRouter,
+  '/stats': statsRouter,
+  '/posts': postsRouter,
+  '/suggest': suggestRouter,
+  '/export': exportRouter,
+  '/graphql': graphqlRouter
+};
+
+const failures = [];
+let checkCount = 0;
+
+// Errors logged by the route of each call, by the id sent in the
+// x-check-request header
+const requests = new Map();
+const requestContext = new AsyncLocalStorage();
+
+function resolveRef(schema) {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.replace('#/components/schemas/', '');
+  return openApiSpec.components.schemas[name];
+}
+
+// Minimal validator for the subset of OpenAPI schemas used by the
+// specification. Unlike OpenAPI it also reports properties that are not
+// described, so fields added to a response must be documented.
+function validate(value, schema, where, errors) {
+  schema = resolveRef(schema);
+
+  if (value === null && schema.nullable) return;
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      validate(value, option, where, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) errors.push(`${where}: does not match any of the allowed schemas`);
+    return;
+  }
+
+  if (value === null) {
+    errors.push(`${where}: is null`);
+    return;
+  }
+
+  const actualType = Array.isArray(value) ? 'array' : typeof value;
+
+  switch (schema.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) errors.push(`${where}: expected integer, got ${JSON.stringify(value)}`);
+      break;
+    case 'number':
+      if (typeof value !== 'number') errors.push(`${where}: expected number, got ${actualType}`);
+      break;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${where}: expected string, got ${actualType}`);
+      } else if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+        errors.push(`${where}: invalid date-time ${JSON.stringify(value)}`);
+      }
+      break;
+    case 'boolean':
+    case 'array':
+    case 'object':
+      if (actualType !== schema.type) errors.push(`${where}: expected ${schema.type}, got ${actualType}`);
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'array' && Array.isArray(value)) {
+    value.forEach((item, index) => validate(item, schema.items, `${where}[${index}]`, errors));
+  }
+
+  if (schema.type === 'object' && actualType === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (!(name in value)) errors.push(`${where}: missing ${name}`);
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined || (!properties[name] && schema.additionalProperties)) continue;
+      if (!properties[name]) {
+        errors.push(`${where}: undocumented property ${name}`);
+      } else {
+        validate(item, properties[name], `${where}.${name}`, errors);
+      }
+    }
+  }
+}
+
+// Call an operation and validate the response. pathTemplate is a path of
+// the specification, params fill in its path parameters.
+async function check(baseUrl, pathTemplate, { params = {}, query = {}, status = 200 } = {}) {
+  const url = `${pathTemplate.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]))}` +
+    (Object.keys(query).length > 0 ? `?${new URLSearchParams(query)}` : '');
+  const label = `GET ${url}`;
+  const requestId = String(++checkCount);
+
+  const data = await checkResponse(baseUrl, pathTemplate, url, label, status, requestId);
+
+  // Routes log the errors behind 5xx responses, anything else is a bug
+  const errors = requests.get(requestId) || [];
+  if (errors.length > 0 && status < 500) {
+    failures.push(`${label}: the route logged errors:\n    ${errors.slice(0, 5).join('\n    ')}`);
+  }
+
+  return data;
+}
+
+async function checkResponse(baseUrl, pathTemplate, url, label, status, requestId) {
+  const operation = openApiSpec.paths[pathTemplate]?.get;
+
+  if (!operation) {
+    failures.push(`${label}: ${pathTemplate} is not in the specification`);
+    return null;
+  }
+
+  const documented = operation.responses[status];
+  if (!documented) {
+    failures.push(`${label}: status ${status} is not documented`);
+    return null;
+  }
+
+  const response = await fetch(`${baseUrl}/api${url}`, { headers: { 'x-check-request': requestId } });
+
+  if (response.status !== status) {
+    failures.push(`${label}: expected status ${status}, got ${response.status}`);
+    await response.body?.cancel();
+    return null;
+  }
+
+  const contentType = (response.headers.get('content-type') || '').split(';')[0];
+  const content = documented.content?.[contentType];
+
+  if (!content) {
+    failures.push(`${label}: content type ${contentType} is not documented for status ${status}`);
+    await response.body?.cancel();
+    return null;
+  }
+
+  // Downloads are only checked for their content type; they can be large
+  if (contentType !== 'application/json') {
+    await response.body?.cancel();
+    return null;
+  }
+
+  const body = await response.json();
+  const errors = [];
+  validate(body, content.schema, 'response', errors);
+
+  if (errors.length > 0) {
+    // The first few are enough to tell what is wrong
+    failures.push(`${label}:\n    ${errors.slice(0, 10).join('\n    ')}`);
+  }
+
+  return body.data;
+}
+
+// Every route of the mounted routers has to be described
+function checkCoverage() {
+  for (const [mountPath, router] of Object.entries(ROUTERS)) {
+    for (const layer of router.stack) {
+      if (!layer.route) continue;
+
+      const specPath = `${mountPath}${layer.route.path}`
+        .replace(/\/$/, '')
+        .replace(/:(\w+)\([^)]*\)/g, '{$1}')
+        .replace(/:(\w+)/g, '{$1}');
+
+      for (const method of Object.keys(layer.route.methods)) {
+        checkCount++;
+        if (!openApiSpec.paths[specPath]?.[method]) {
+          failures.push(`${method.toUpperCase()} ${specPath} is not in the specification`);
+        }
+      }
+    }
+  }
+}
+
+async function checkOperations(baseUrl) {
+  const threads = await check(baseUrl, '/threads');
+  const thread = threads?.threads[0];
+  const users = await check(baseUrl, '/users', { query: { limit: 5 } });
+  const user = users?.users[0];
+
+  if (!thread || !user) {
+    throw new Error('The database has no threads or users to check against');
+  }
+
+  const threadParams = { params: { id: thread.id } };
+  const userParams = { params: { id: user.id } };
+  const searchTerm = thread.name.split(/\s+/).find(word => /^\w{4,}$/.test(word)) || thread.name.split(/\s+/)[0];
+  // Search routes answer 503 without the search index
+  const searchStatus = db.hasIndex ? 200 : 503;
+
+  // Threads
+  await check(baseUrl, '/threads', { query: { language: thread.language, category: thread.category, limit: 5 } });
+  await check(baseUrl, '/threads', { query: { sort: 'replies', page: 2 } });
+  await check(baseUrl, '/threads', { query: { random: 'true', seed: 42 } });
+  await check(baseUrl, '/threads', { query: { after: '2000', before: '2100' } });
+  await check(baseUrl, '/threads', { query: { search: searchTerm }, status: searchStatus });
+  await check(baseUrl, '/threads', { query: { search: `in:"${thread.category}"` }, status: searchStatus });
+  await check(baseUrl, '/threads', { query: { search: `${searchTerm} before:2009-02-31` }, status: 400 });
+  await check(baseUrl, '/threads', { query: { sort: 'nonsense' }, status: 400 });
+  await check(baseUrl, '/threads/{id}', threadParams);
+  await check(baseUrl, '/threads/{id}', { ...threadParams, query: { sort: 'alphabetical' } });
+  await check(baseUrl, '/threads/{id}', { ...threadParams, query: { sort: 'nonsense' }, status: 400 });
+  await check(baseUrl, '/threads/{id}', { params: { id: 'abc' }, status: 400 });
+  await check(baseUrl, '/threads/{id}', { params: { id: 999999999 }, status: 404 });
+  await check(baseUrl, '/threads/{id}/posts', threadParams);
+  await check(baseUrl, '/threads/{id}/posts', { ...threadParams, query: { page: 2, limit: 5 } });
+  await check(baseUrl, '/threads/{id}/posts', { params: { id: 999999999 }, status: 404 });
+  const threadPosts = await check(baseUrl, '/threads/{id}/posts', { ...threadParams, query: { limit: 1 } });
+  if (threadPosts?.pagination.nextCursor) {
+    await check(baseUrl, '/threads/{id}/posts', { ...threadParams, query: { cursor: threadPosts.pagination.nextCursor } });
+  }
+  await check(baseUrl, '/threads/{id}/posts', { ...threadParams, query: { cursor: 'nonsense' }, status: 400 });
+  const participants = await check(baseUrl, '/threads/{id}/participants', threadParams);
+  await check(baseUrl, '/threads/{id}/participants', { params: { id: 999999999 }, status: 404 });
+  if (participants?.participants.length > 0) {
+    await check(baseUrl, '/threads/{id}/posts', { ...threadParams, query: { userId: participants.participants[0].userId } });
+  }
+  await check(baseUrl, '/threads/{id}/posts', { ...threadParams, query: { userId: 'abc' }, status: 400 });
+
+  // Posts
+  const firstPostId = threadPosts?.posts[0]?.id;
+  if (firstPostId) {
+    await check(baseUrl, '/posts/{id}', { params: { id: firstPostId } });
+    await check(baseUrl, '/posts/{id}', { params: { id: firstPostId }, query: { pageSize: 5 } });
+  }
+  await check(baseUrl, '/posts/{id}', { params: { id: 'abc' }, status: 400 });
+  await check(baseUrl, '/threads/{id}/posts/{postNo}', { params: { id: thread.id, postNo: 1 }, query: { pageSize: 5 } });
+  await check(baseUrl, '/threads/{id}/posts/{postNo}', { params: { id: thread.id, postNo: 'abc' }, status: 400 });
+  await check(baseUrl, '/threads/{id}/posts/{postNo}', { params: { id: thread.id, postNo: 999999999 }, status: 404 });
+  await check(baseUrl, '/posts/{id}', { params: { id: 999999999 }, status: 404 });
+  for (const format of ['md', 'txt', 'html', 'epub']) {
+    await check(baseUrl, '/threads/{id}/export', { ...threadParams, query: { format } });
+  }
+  await check(baseUrl, '/threads/{id}/export', { ...threadParams, query: { format: 'doc' }, status: 400 });
+  await check(baseUrl, '/threads/{id}/search', { ...threadParams, query: { q: searchTerm }, status: searchStatus });
+  await check(baseUrl, '/threads/{id}/search', { ...threadParams, query: { q: `-${searchTerm}` }, status: searchStatus });
+  await check(baseUrl, '/threads/meta/languages');
+  await check(baseUrl, '/threads/meta/categories');
+  await check(baseUrl, '/threads/meta/categories', { query: { language: thread.language } });
+
+  // Search
+  await check(baseUrl, '/posts/search', { query: { q: searchTerm }, status: searchStatus });
+  await check(baseUrl, '/posts/search', { query: { q: searchTerm, language: thread.language, page: 2 }, status: searchStatus });
+  await check(baseUrl, '/posts/search', { query: { q: `author:"${user.name}" after:2000` }, status: searchStatus });
+  await check(baseUrl, '/posts/search', { query: { q: searchTerm, after: '2010-13' }, status: 400 });
+  await check(baseUrl, '/suggest', { query: { q: searchTerm.slice(0, 3) } });
+  await check(baseUrl, '/suggest', { query: { q: user.name.slice(0, 2) } });
+
+  // Users
+  await check(baseUrl, '/users', { query: { search: user.name.slice(0, 2) } });
+  if (users.pagination.nextCursor) {
+    await check(baseUrl, '/users', { query: { limit: 5, cursor: users.pagination.nextCursor } });
+  }
+  await check(baseUrl, '/users', { query: { cursor: 'nonsense' }, status: 400 });
+  await check(baseUrl, '/users/{id}', userParams);
+  await check(baseUrl, '/users/{id}', { params: { id: 999999999 }, status: 404 });
+  await check(baseUrl, '/users/{id}/posts', userParams);
+  await check(baseUrl, '/users/{id}/posts', { params: { id: 'abc' }, status: 400 });
+  const userPosts = await check(baseUrl, '/users/{id}/posts', { ...userParams, query: { limit: 1 } });
+  if (userPosts?.pagination.nextCursor) {
+    await check(baseUrl, '/users/{id}/posts', { ...userParams, query: { cursor: userPosts.pagination.nextCursor } });
+  }
+  await check(baseUrl, '/users/{id}/threads', userParams);
+
+  // Statistics
+  await check(baseUrl, '/stats');
+  await check(baseUrl, '/stats/overview');
+  await check(baseUrl, '/stats/languages');
+  await check(baseUrl, '/stats/users', { query: { limit: 5 } });
+  await check(baseUrl, '/stats/activity');
+  await check(baseUrl, '/stats/categories');
+
+  // Export
+  await check(baseUrl, '/export/{table}', { params: { table: 'threads' }, query: { language: thread.language } });
+  await check(baseUrl, '/export/{table}', { params: { table: 'users' }, query: { format: 'csv' } });
+  await check(baseUrl, '/export/{table}', { params: { table: 'posts' }, query: { after: 'soon' }, status: 400 });
+  await check(baseUrl, '/export/category', { query: { language: thread.language, category: thread.category } });
+  await check(baseUrl, '/export/category', { status: 400 });
+
+  // GraphQL
+  await check(baseUrl, '/graphql', { query: { query: '{ threads(limit: 2) { id posts(limit: 2) { author { name } } } }' } });
+  await check(baseUrl, '/graphql', { query: { query: 'query($id: Int!) { user(id: $id) { name } }', variables: JSON.stringify({ id: user.id }) } });
+  await check(baseUrl, '/graphql', { query: { query: '{ threads(limit: 100) { posts(limit: 100) { id } } }' }, status: 400 });
+}
+
+async function main() {
+  await db.ready;
+
+  const app = express();
+  app.use((req, res, next) => {
+    const errors = [];
+    requests.set(req.get('x-check-request'), errors);
+    requestContext.run(errors, next);
+  });
+  for (const [mountPath, router] of Object.entries(ROUTERS)) {
+    app.use(`/api${mountPath}`, router);
+  }
+
+  // Errors logged while a request is handled are recorded for its check
+  const logError = console.error;
+  console.error = (...args) => {
+    requestContext.getStore()?.push(format(...args).split('\n')[0]);
+    logError(...args);
+  };
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    listening.on('error', reject);
+  });
+
+  try {
+    checkCoverage();
+    await checkOperations(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    console.error = logError;
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  if (failures.length > 0) {
+    console.error(`❌ ${failures.length} of ${checkCount} checks failed:`);
+    failures.forEach(failure => console.error(`  - ${failure}`));
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${checkCount} checks passed, the API matches its OpenAPI specification`);
+  }
+}
+
+main()
+  .catch(error => {
+    console.error('❌ OpenAPI check failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,409 @@
+// One-off command that renders the whole archive to static HTML files, for
+// hosting a mirror without a Node process:
+//
+//   npm run export:static -- [--api] [output directory]
+//
+// It writes every page of every thread, user profile and thread listing, a
+// title search page with its index, and the stylesheet and images. All links
+// are relative, so the output also browses straight from the file system.
+//
+// With --api it writes a JSON snapshot of the API instead, into api/ of the
+// output directory (see exportApiSnapshot below).
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import db from '../models/database.js';
+import threadsRouter from '../routes/threads.js';
+import usersRouter from '../routes/users.js';
+import statsRouter from '../routes/stats.js';
+import {
+  formatThreadForApi,
+  formatPostForApi,
+  formatUserForApi,
+  slugify
+} from '../utils/helpers.js';
+import {
+  threadBreadcrumbs,
+  userBreadcrumbs,
+  listingBreadcrumbs,
+  renderThreadPage,
+  renderListingPage,
+  renderUserPage,
+  renderStaticDocument
+} from '../utils/render.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PUBLIC_DIR = path.join(__dirname, '../../public');
+
+const args = process.argv.slice(2);
+const apiMode = args.includes('--api');
+const outDir = path.resolve(args.find(arg => !arg.startsWith('--')) || 'static-site');
+
+// Same page sizes as the app
+const POSTS_PER_PAGE = 20;
+const THREADS_PER_PAGE = 20;
+
+// Page size of the JSON snapshot, the one the SPA requests (see
+// SNAPSHOT_PAGE_SIZE in public/js/api.js)
+const API_PAGE_SIZE = 20;
+
+// Users are read from the database in batches of this size
+const BATCH_SIZE = 1000;
+
+// File name of a language or category listing
+function listingSlug(name) {
+  return slugify(name) || 'other';
+}
+
+// Link builder (see serverLinks in src/utils/render.js) for the exported
+// files. `root` leads from the linking page back to the output directory.
+function staticLinks(root = '') {
+  const file = (name, page) => `${root}${name}${page > 1 ? `-${page}` : ''}.html`;
+
+  return {
+    listing: (language = null, category = null, page = 1) => {
+      if (!language) return file('index', page);
+      if (!category) return file(`languages/${listingSlug(language)}`, page);
+      return file(`categories/${listingSlug(language)}--${listingSlug(category)}`, page);
+    },
+    thread: (threadId, page = 1) => file(`threads/${threadId}`, page),
+    user: (userId, tab = 'posts', page = 1) =>
+      file(tab === 'threads' ? `users/${userId}-threads` : `users/${userId}`, page),
+    users: () => null
+  };
+}
+
+// Paths of the pages, relative to the output directory
+const files = staticLinks();
+
+let pageCount = 0;
+
+// Writes one page. Breadcrumbs and content are built with links relative to
+// the page's own location.
+async function writePage(file, { title, description, breadcrumbs, content }) {
+  const root = '../'.repeat(file.split('/').length - 1);
+  const links = staticLinks(root);
+
+  const html = renderStaticDocument({
+    title,
+    description,
+    breadcrumbs: breadcrumbs(links),
+    content: content(links)
+  }, root, links);
+
+  await fs.promises.writeFile(path.join(outDir, file), html);
+  pageCount++;
+}
+
+async function exportListings() {
+  console.log('🗂️  Exporting thread listings...');
+
+  // The whole forum, then each language followed by its categories
+  const listings = [{ language: null, category: null }];
+  for (const listing of await db.getListingActivity()) {
+    if (!listings.some(other => other.language === listing.language && !other.category)) {
+      listings.push({ language: listing.language, category: null });
+    }
+    listings.push({ language: listing.language, category: listing.category });
+  }
+
+  for (const { language, category } of listings) {
+    const totalThreads = await db.getThreadCount(language, category);
+    const totalPages = Math.max(1, Math.ceil(totalThreads / THREADS_PER_PAGE));
+
+    let title = 'Regnum Online Forum Archive';
+    let heading = 'Latest Forum Threads';
+    if (language) title = heading = `${language} Discussions`;
+    if (category) title = heading = `${category} - ${language} Discussions`;
+
+    for (let page = 1; page <= totalPages; page++) {
+      const threads = await db.getThreads(
+        language,
+        category,
+        THREADS_PER_PAGE,
+        (page - 1) * THREADS_PER_PAGE
+      );
+
+      await writePage(files.listing(language, category, page), {
+        title: page > 1 ? `${title} (page ${page})` : title,
+        description: `${heading} from the Champions of Regnum community forum archive.`,
+        breadcrumbs: links => listingBreadcrumbs(language, category, links),
+        content: links => renderListingPage(
+          heading,
+          threads.map(formatThreadForApi),
+          { page, totalPages },
+          target => links.listing(language, category, target),
+          links
+        )
+      });
+    }
+  }
+
+  console.log(`   ${listings.length} listings`);
+}
+
+// Every page of every thread. Also returns the search index entries.
+async function exportThreads() {
+  console.log('💬 Exporting threads...');
+
+  const searchIndex = [];
+  const threadIds = (await db.getThreadActivity()).map(row => row.id);
+
+  for (const threadId of threadIds) {
+    const thread = formatThreadForApi(await db.getThread(threadId));
+    const totalPages = Math.max(1, Math.ceil(thread.postCount / POSTS_PER_PAGE));
+
+    for (let page = 1; page <= totalPages; page++) {
+      const posts = (await db.getPosts(threadId, POSTS_PER_PAGE, (page - 1) * POSTS_PER_PAGE))
+        .map(formatPostForApi);
+
+      await writePage(files.thread(threadId, page), {
+        title: page > 1 ? `${thread.name} (page ${page})` : thread.name,
+        description: `${thread.name} - ${thread.category} discussion in ${thread.language}`,
+        breadcrumbs: links => threadBreadcrumbs(thread, links),
+        content: links => renderThreadPage(thread, posts, { page, totalPages }, links)
+      });
+    }
+
+    searchIndex.push([thread.id, thread.name, thread.language, thread.category, thread.postCount]);
+  }
+
+  console.log(`   ${threadIds.length} threads`);
+  return searchIndex;
+}
+
+// Profiles of everyone who posted, with every page of their posts and threads
+async function exportUsers() {
+  console.log('👥 Exporting user profiles...');
+
+  let userCount = 0;
+
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const batch = await db.getUserActivity(BATCH_SIZE, offset);
+    if (batch.length === 0) break;
+
+    for (const { id: userId } of batch) {
+      const user = formatUserForApi(await db.getUserWithStats(userId));
+
+      for (const tab of ['posts', 'threads']) {
+        const total = tab === 'threads' ? user.threadCount : user.postCount;
+        const totalPages = Math.max(1, Math.ceil(total / POSTS_PER_PAGE));
+
+        for (let page = 1; page <= totalPages; page++) {
+          const offsetInTab = (page - 1) * POSTS_PER_PAGE;
+          const items = tab === 'threads'
+            ? (await db.getUserThreads(userId, POSTS_PER_PAGE, offsetInTab)).map(formatThreadForApi)
+            : (await db.getUserPosts(userId, POSTS_PER_PAGE, offsetInTab)).map(formatPostForApi);
+
+          await writePage(files.user(userId, tab, page), {
+            title: `${user.name} - Community Member Profile`,
+            description: `${user.name}'s posts and threads in the Champions of Regnum community forum archive.`,
+            breadcrumbs: links => userBreadcrumbs(user, links),
+            content: links => renderUserPage(user, tab, items, { page, totalPages }, links)
+          });
+        }
+      }
+
+      userCount++;
+    }
+  }
+
+  console.log(`   ${userCount} users`);
+}
+
+// Title search that runs in the browser. The index is a script rather than
+// JSON so it also loads from file:// URLs.
+async function exportSearch(searchIndex) {
+  console.log('🔎 Writing search index...');
+
+  await fs.promises.writeFile(
+    path.join(outDir, 'search-index.js'),
+    `window.SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n`
+  );
+
+  await writePage('search.html', {
+    title: 'Search',
+    description: 'Search the thread titles of the Champions of Regnum community forum archive.',
+    breadcrumbs: () => [],
+    content: links => `
+    <h4 class="mb-3"><i class="bi bi-search"></i> Search thread titles</h4>
+    <input type="search" id="static-search" class="form-control mb-3" placeholder="Words from the thread title" autofocus>
+    <div id="static-search-results" class="thread-list"></div>
+    <script src="search-index.js"></script>
+    <script>
+      (() => {
+        const normalize = text => text.normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').toLowerCase();
+        const escape = text => text.replace(/[&<>"']/g, char => '&#' + char.charCodeAt(0) + ';');
+        const entries = window.SEARCH_INDEX.map(entry => ({ entry, text: normalize(entry[1]) }));
+        const input = document.getElementById('static-search');
+        const results = document.getElementById('static-search-results');
+
+        const search = () => {
+          const words = normalize(input.value).split(/\\s+/).filter(Boolean);
+          const matches = words.length === 0 ? [] : entries
+            .filter(({ text }) => words.every(word => text.includes(word)))
+            .slice(0, 100);
+
+          results.innerHTML = matches.map(({ entry: [id, name, language, category, postCount] }) => \`
+            <div class="thread-item border-bottom p-3">
+              <a href="${links.thread('ID').replace('ID', '\${id}')}" class="thread-title h5 mb-1 d-block">\${escape(name)}</a>
+              <div class="text-muted small">\${escape(language)} › \${escape(category)} · \${postCount} posts</div>
+            </div>\`).join('') || (words.length ? '<p class="text-muted">No threads found</p>' : '');
+        };
+
+        input.value = new URLSearchParams(location.search).get('q') || '';
+        input.addEventListener('input', search);
+        search();
+      })();
+    </script>`
+  });
+
+  console.log(`   ${searchIndex.length} titles indexed`);
+}
+
+function copyAssets() {
+  console.log('🎨 Copying assets...');
+
+  for (const dir of ['css', 'assets']) {
+    fs.cpSync(path.join(PUBLIC_DIR, dir), path.join(outDir, dir), { recursive: true });
+  }
+}
+
+// JSON snapshot of the API endpoints the SPA browses with: /api/threads,
+// /api/threads/:id with its posts, /api/users, /api/users/:id with its
+// posts and threads, the language and category lists and /api/stats. The
+// responses come from the API routers themselves, served on a local port for
+// the duration of the export, so the files always have the same shape as the
+// live API. Every page of a paginated endpoint is written with the default
+// page size, in the layout the ApiClient reads in snapshot mode:
+// api/threads/index.json, api/threads/page-2.json, ...
+async function exportApiSnapshot() {
+  const app = express();
+  app.use('/api/threads', threadsRouter);
+  app.use('/api/users', usersRouter);
+  app.use('/api/stats', statsRouter);
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    listening.on('error', reject);
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  let fileCount = 0;
+
+  // Filtered responses are stored below their endpoint, one directory level
+  // per filter: api/threads/language/English/category/War Reports/
+  async function writePage(endpoint, page, paginated, filters) {
+    const query = new URLSearchParams(filters);
+    if (paginated) {
+      query.set('page', page);
+      query.set('limit', API_PAGE_SIZE);
+    }
+
+    const response = await fetch(`${baseUrl}${endpoint}?${query}`);
+    if (!response.ok) {
+      throw new Error(`${endpoint}?${query} returned HTTP ${response.status}`);
+    }
+
+    const body = await response.text();
+    const dir = path.join(outDir, endpoint, ...Object.entries(filters).flat());
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, page > 1 ? `page-${page}.json` : 'index.json'), body);
+    fileCount++;
+
+    return JSON.parse(body);
+  }
+
+  // Writes the response of an endpoint, and with paginated set every
+  // further page its first page announces in pagination.totalPages.
+  // Returns the first page.
+  async function writeEndpoint(endpoint, paginated = false, filters = {}) {
+    const first = await writePage(endpoint, 1, paginated, filters);
+    const totalPages = paginated ? first.data.pagination.totalPages : 1;
+
+    for (let page = 2; page <= totalPages; page++) {
+      await writePage(endpoint, page, paginated, filters);
+    }
+
+    return first;
+  }
+
+  try {
+    console.log('🗂️  Exporting /api/threads...');
+    await writeEndpoint('/api/threads', true);
+    await writeEndpoint('/api/threads/meta/languages');
+    const categories = (await writeEndpoint('/api/threads/meta/categories')).data;
+
+    // The listings behind the language tabs, category sidebars and links
+    console.log('🗂️  Exporting /api/threads by language and category...');
+    for (const language of new Set(categories.map(entry => entry.language))) {
+      await writeEndpoint('/api/threads', true, { language });
+      await writeEndpoint('/api/threads/meta/categories', false, { language });
+    }
+    for (const { language, category } of categories) {
+      await writeEndpoint('/api/threads', true, { language, category });
+    }
+
+    console.log('💬 Exporting /api/threads/:id and its posts...');
+    for (const thread of await db.getThreadActivity()) {
+      await writeEndpoint(`/api/threads/${thread.id}`);
+      await writeEndpoint(`/api/threads/${thread.id}/posts`, true);
+    }
+
+    console.log('👥 Exporting /api/users and /api/users/:id with posts and threads...');
+    await writeEndpoint('/api/users', true);
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const batch = await db.getUserActivity(BATCH_SIZE, offset);
+      if (batch.length === 0) break;
+
+      for (const user of batch) {
+        await writeEndpoint(`/api/users/${user.id}`);
+        await writeEndpoint(`/api/users/${user.id}/posts`, true);
+        await writeEndpoint(`/api/users/${user.id}/threads`, true);
+      }
+    }
+
+    console.log('📊 Exporting /api/stats...');
+    await writeEndpoint('/api/stats');
+    await writeEndpoint('/api/stats/overview');
+  } finally {
+    server.close();
+  }
+
+  return fileCount;
+}
+
+async function main() {
+  await db.ready;
+
+  const started = Date.now();
+  const elapsed = () => `${((Date.now() - started) / 1000).toFixed(1)}s`;
+
+  if (apiMode) {
+    console.log(`📦 Exporting API snapshot to ${path.join(outDir, 'api')}`);
+    const fileCount = await exportApiSnapshot();
+    console.log(`✅ API snapshot complete: ${fileCount} files in ${elapsed()}`);
+    return;
+  }
+
+  console.log(`📦 Exporting static site to ${outDir}`);
+  for (const dir of ['threads', 'users', 'languages', 'categories']) {
+    fs.mkdirSync(path.join(outDir, dir), { recursive: true });
+  }
+
+  await exportListings();
+  const searchIndex = await exportThreads();
+  await exportUsers();
+  await exportSearch(searchIndex);
+  copyAssets();
+
+  console.log(`✅ Static export complete: ${pageCount} pages in ${elapsed()}`);
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Static export failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,135 @@
+// EPUB 3 books of forum posts, streamed chapter by chapter through
+// ZipWriter. Used for thread and category downloads.
+import { ZipWriter } from './zip.js';
+import { escapeHtml } from './render.js';
+
+// dc:language codes of the forum languages
+const LANGUAGE_CODES = {
+  English: 'en',
+  Deutsch: 'de',
+  Español: 'es',
+  Français: 'fr',
+  Italiano: 'it',
+  Português: 'pt'
+};
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; }
+h1 { font-size: 1.5em; }
+article { margin: 1.5em 0; }
+article h2 { font-size: 1em; border-bottom: 1px solid #ccc; padding-bottom: 0.2em; }
+.post-date { color: #666; font-weight: normal; }
+blockquote { border-left: 3px solid #ccc; margin: 0.5em 0; padding-left: 1em; }
+pre { white-space: pre-wrap; }
+`;
+
+function xhtmlDocument(title, lang, body) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${lang}" xml:lang="${lang}">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Posts (from formatPostForApi, so with sanitized message HTML) as chapter
+// content. Images are turned into links: EPUB only allows images packaged in
+// the book, and the archive's images live on other servers.
+export function renderEpubPosts(posts) {
+  return posts.map(post => {
+    const message = post.message.replace(/<img [^>]*\/?>/gi, (tag) => {
+      const src = (tag.match(/src="([^"]*)"/i) || [])[1] || '';
+      const alt = (tag.match(/alt="([^"]*)"/i) || [])[1] || '';
+      return src ? `<a href="${src}">[image${alt ? `: ${alt}` : ''}]</a>` : '';
+    });
+
+    return `<article id="post-${post.postNo}">
+  <h2>#${post.postNo} · ${escapeHtml(post.username)} <span class="post-date">${escapeHtml(post.timestamp || 'Unknown date')}</span></h2>
+  <div class="post-content">${message}</div>
+</article>`;
+  }).join('\n');
+}
+
+export class EpubWriter {
+  // output is a writable stream; identifier is a URL that identifies the book
+  constructor(output, { title, language, identifier, description = null }) {
+    this.zip = new ZipWriter(output);
+    this.title = title;
+    this.lang = LANGUAGE_CODES[language] || 'en';
+    this.identifier = identifier;
+    this.description = description;
+    this.chapters = [];
+  }
+
+  async start() {
+    // The mimetype must come first and uncompressed
+    await this.zip.addFile('mimetype', 'application/epub+zip', { store: true });
+    await this.zip.addFile('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`);
+    await this.zip.addFile('OEBPS/style.css', STYLESHEET);
+  }
+
+  // Add a chapter with its title as heading; body is XHTML
+  async addChapter(title, body) {
+    const file = `chapter-${this.chapters.length + 1}.xhtml`;
+    this.chapters.push({ file, title });
+
+    await this.zip.addFile(`OEBPS/${file}`, xhtmlDocument(title, this.lang, `<section epub:type="chapter">
+<h1>${escapeHtml(title)}</h1>
+${body}
+</section>`));
+  }
+
+  // Write the table of contents and package document, then the ZIP
+  // directory. The output is left open.
+  async finish() {
+    if (this.chapters.length === 0) {
+      await this.addChapter(this.title, '<p>No posts.</p>');
+    }
+
+    await this.zip.addFile('OEBPS/nav.xhtml', xhtmlDocument(this.title, this.lang, `<nav epub:type="toc" id="toc">
+<h1>Contents</h1>
+<ol>
+${this.chapters.map(chapter => `  <li><a href="${chapter.file}">${escapeHtml(chapter.title)}</a></li>`).join('\n')}
+</ol>
+</nav>`));
+
+    // dcterms:modified wants seconds precision
+    const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+
+    await this.zip.addFile('OEBPS/content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${this.lang}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeHtml(this.identifier)}</dc:identifier>
+    <dc:title>${escapeHtml(this.title)}</dc:title>
+    <dc:language>${this.lang}</dc:language>
+    <dc:publisher>Regnum Online Forum Archive</dc:publisher>${this.description ? `
+    <dc:description>${escapeHtml(this.description)}</dc:description>` : ''}
+    <meta property="dcterms:modified">${modified}</meta>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav" />
+    <item id="style" href="style.css" media-type="text/css" />
+${this.chapters.map((chapter, index) => `    <item id="chapter-${index + 1}" href="${chapter.file}" media-type="application/xhtml+xml" />`).join('\n')}
+  </manifest>
+  <spine>
+    <itemref idref="nav" />
+${this.chapters.map((chapter, index) => `    <itemref idref="chapter-${index + 1}" />`).join('\n')}
+  </spine>
+</package>
+`);
+
+    await this.zip.finish();
+  }
+}
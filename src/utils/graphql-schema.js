@@ -0,0 +1,301 @@
+// Read-only GraphQL schema over the archive, served at /api/graphql. Objects
+// have the fields of the REST API (formatThreadForApi and friends, with ISO
+// dates only). Threads, users and the posts of threads are fetched through
+// per-request loaders, so e.g. the authors of a page of posts are read with
+// one query instead of one per post.
+import {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLEnumType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLInt,
+  GraphQLString
+} from 'graphql';
+import db, { THREAD_SORTS } from '../models/database.js';
+import {
+  formatThreadForApi,
+  formatPostForApi,
+  formatUserForApi,
+  validatePagination
+} from './helpers.js';
+
+// Collects the keys requested while a query resolves and loads them with a
+// single batchLoad(keys) call, which resolves to the values in key order.
+// Values are cached for the rest of the request.
+function createLoader(batchLoad) {
+  const cache = new Map();
+  let queue = [];
+
+  function dispatch() {
+    const batch = queue;
+    queue = [];
+
+    batchLoad(batch.map(item => item.key)).then(
+      values => batch.forEach((item, index) => item.resolve(values[index])),
+      error => batch.forEach(item => item.reject(error))
+    );
+  }
+
+  return {
+    load(key) {
+      if (!cache.has(key)) {
+        cache.set(key, new Promise((resolve, reject) => {
+          // Resolvers of sibling fields run before the batch goes out
+          if (queue.length === 0) setImmediate(dispatch);
+          queue.push({ key, resolve, reject });
+        }));
+      }
+      return cache.get(key);
+    },
+
+    loadMany(keys) {
+      return Promise.all(keys.map(key => this.load(key)));
+    }
+  };
+}
+
+// Rows in the order of ids, null for ids without a row
+function orderByIds(ids, rows, format) {
+  const byId = new Map(rows.map(row => [row.id, format(row)]));
+  return ids.map(id => byId.get(id) ?? null);
+}
+
+// Loaders for one request, passed to the resolvers as the context
+export function createLoaders() {
+  const threadPostPages = new Map();
+  let languages = null;
+
+  return {
+    threads: createLoader(async ids => orderByIds(ids, await db.getThreadsByIds(ids), formatThreadForApi)),
+    users: createLoader(async ids => orderByIds(ids, await db.getUsersByIds(ids), formatUserForApi)),
+
+    // One loader per page, keyed by thread id
+    threadPosts(limit, offset) {
+      const key = `${limit}:${offset}`;
+
+      if (!threadPostPages.has(key)) {
+        threadPostPages.set(key, createLoader(async threadIds => {
+          const posts = await db.getPostsByThreadIds(threadIds, limit, offset);
+          return threadIds.map(threadId => posts
+            .filter(post => post.thread_id === threadId)
+            .map(formatPostForApi));
+        }));
+      }
+
+      return threadPostPages.get(key);
+    },
+
+    // Languages with their totals, read once
+    languages() {
+      languages ??= db.getLanguageStats().then(rows => rows
+        .filter(row => row.language !== 'Other')
+        .map(row => ({ name: row.language, threadCount: row.thread_count, postCount: row.post_count })));
+      return languages;
+    }
+  };
+}
+
+const ThreadSort = new GraphQLEnumType({
+  name: 'ThreadSort',
+  values: Object.fromEntries(THREAD_SORTS.map(sort => [sort, { value: sort }]))
+});
+
+const nonNull = type => new GraphQLNonNull(type);
+const list = type => nonNull(new GraphQLList(nonNull(type)));
+
+// page/limit arguments of paginated lists. The complexity limit of the
+// endpoint multiplies the cost of the selected fields by `limit`.
+function pageArgs(defaultLimit = 20) {
+  return {
+    page: { type: GraphQLInt, defaultValue: 1 },
+    limit: { type: GraphQLInt, defaultValue: defaultLimit, description: 'Items per page, at most 100' }
+  };
+}
+
+// Lists without pagination, with the size the complexity limit assumes
+function fixedList(type, listSize) {
+  return { type: list(type), extensions: { listSize } };
+}
+
+async function listThreads({ language = null, category = null, sort, page, limit }) {
+  const pagination = validatePagination(page, limit);
+  const threads = await db.getThreads(language, category, pagination.limit, pagination.offset, sort);
+  return threads.map(formatThreadForApi);
+}
+
+const threadListArgs = {
+  sort: { type: ThreadSort, defaultValue: 'latest' },
+  ...pageArgs()
+};
+
+const ThreadType = new GraphQLObjectType({
+  name: 'Thread',
+  fields: () => ({
+    id: { type: nonNull(GraphQLInt) },
+    name: { type: nonNull(GraphQLString) },
+    path: { type: nonNull(GraphQLString) },
+    language: { type: nonNull(GraphQLString) },
+    category: { type: nonNull(GraphQLString) },
+    postCount: { type: nonNull(GraphQLInt) },
+    participantCount: { type: nonNull(GraphQLInt), description: 'Registered users who posted in the thread' },
+    threadCreator: { type: GraphQLString },
+    createdAt: { type: GraphQLString, description: 'ISO-8601, UTC' },
+    lastPoster: { type: GraphQLString },
+    lastPostAt: { type: GraphQLString, description: 'ISO-8601, UTC' },
+    posts: {
+      type: list(PostType),
+      description: 'Posts in thread order',
+      args: pageArgs(),
+      resolve: (thread, { page, limit }, { loaders }) => {
+        const pagination = validatePagination(page, limit);
+        return loaders.threadPosts(pagination.limit, pagination.offset).load(thread.id);
+      }
+    }
+  })
+});
+
+const PostType = new GraphQLObjectType({
+  name: 'Post',
+  fields: () => ({
+    id: { type: nonNull(GraphQLInt) },
+    threadId: { type: nonNull(GraphQLInt) },
+    postNo: { type: nonNull(GraphQLInt), description: 'Position in the thread, from 1' },
+    userId: { type: GraphQLInt, description: '0 for guests' },
+    username: { type: nonNull(GraphQLString), description: '"Guest" for posts without a user' },
+    postedAt: { type: GraphQLString, description: 'ISO-8601, UTC' },
+    message: { type: nonNull(GraphQLString), description: 'Sanitized HTML' },
+    thread: {
+      type: nonNull(ThreadType),
+      resolve: (post, args, { loaders }) => loaders.threads.load(post.threadId)
+    },
+    author: {
+      type: UserType,
+      description: 'Null for guests',
+      resolve: (post, args, { loaders }) => (post.userId > 0 ? loaders.users.load(post.userId) : null)
+    }
+  })
+});
+
+const UserType = new GraphQLObjectType({
+  name: 'User',
+  fields: () => ({
+    id: { type: nonNull(GraphQLInt) },
+    name: { type: nonNull(GraphQLString) },
+    postCount: { type: nonNull(GraphQLInt) },
+    threadCount: { type: nonNull(GraphQLInt), description: 'Threads the user posted in' },
+    firstPostAt: { type: GraphQLString, description: 'ISO-8601, UTC' },
+    lastPostAt: { type: GraphQLString, description: 'ISO-8601, UTC' },
+    posts: {
+      type: list(PostType),
+      description: 'Newest first',
+      args: pageArgs(),
+      resolve: async (user, { page, limit }) => {
+        const pagination = validatePagination(page, limit);
+        const posts = await db.getUserPosts(user.id, pagination.limit, pagination.offset);
+        return posts.map(post => ({ ...formatPostForApi(post), userId: user.id, username: user.name }));
+      }
+    },
+    threads: {
+      type: list(ThreadType),
+      description: 'Threads the user posted in, most recently joined first',
+      args: pageArgs(),
+      resolve: async (user, { page, limit }, { loaders }) => {
+        const pagination = validatePagination(page, limit);
+        const threads = await db.getUserThreads(user.id, pagination.limit, pagination.offset);
+        return loaders.threads.loadMany(threads.map(thread => thread.id));
+      }
+    }
+  })
+});
+
+const CategoryType = new GraphQLObjectType({
+  name: 'Category',
+  fields: () => ({
+    name: { type: nonNull(GraphQLString) },
+    language: { type: nonNull(GraphQLString) },
+    threadCount: { type: nonNull(GraphQLInt) },
+    threads: {
+      type: list(ThreadType),
+      args: threadListArgs,
+      resolve: (category, args) => listThreads({ ...args, language: category.language, category: category.name })
+    }
+  })
+});
+
+async function listCategories(language) {
+  const categories = await db.getCategories(language);
+  return categories.map(row => ({ name: row.category, language, threadCount: row.thread_count }));
+}
+
+const LanguageType = new GraphQLObjectType({
+  name: 'Language',
+  fields: () => ({
+    name: { type: nonNull(GraphQLString) },
+    threadCount: { type: nonNull(GraphQLInt) },
+    postCount: { type: nonNull(GraphQLInt) },
+    categories: {
+      ...fixedList(CategoryType, 20),
+      resolve: language => listCategories(language.name)
+    },
+    threads: {
+      type: list(ThreadType),
+      args: { category: { type: GraphQLString }, ...threadListArgs },
+      resolve: (language, args) => listThreads({ ...args, language: language.name })
+    }
+  })
+});
+
+const QueryType = new GraphQLObjectType({
+  name: 'Query',
+  fields: () => ({
+    thread: {
+      type: ThreadType,
+      args: { id: { type: nonNull(GraphQLInt) } },
+      resolve: (root, { id }, { loaders }) => loaders.threads.load(id)
+    },
+    threads: {
+      type: list(ThreadType),
+      description: 'Latest activity first unless sorted otherwise',
+      args: {
+        language: { type: GraphQLString },
+        category: { type: GraphQLString },
+        ...threadListArgs
+      },
+      resolve: (root, args) => listThreads(args)
+    },
+    user: {
+      type: UserType,
+      args: { id: { type: nonNull(GraphQLInt) } },
+      // User 0 stands for guests
+      resolve: (root, { id }, { loaders }) => (id > 0 ? loaders.users.load(id) : null)
+    },
+    users: {
+      type: list(UserType),
+      description: 'Users with posts, most active first',
+      args: { search: { type: GraphQLString, description: 'Part of the username' }, ...pageArgs(50) },
+      resolve: async (root, { search, page, limit }) => {
+        const pagination = validatePagination(page, limit);
+        const users = await db.getUserList(pagination.limit, pagination.offset, search);
+        return users.map(formatUserForApi);
+      }
+    },
+    languages: {
+      ...fixedList(LanguageType, 10),
+      resolve: (root, args, { loaders }) => loaders.languages()
+    },
+    language: {
+      type: LanguageType,
+      args: { name: { type: nonNull(GraphQLString) } },
+      resolve: async (root, { name }, { loaders }) =>
+        (await loaders.languages()).find(language => language.name === name) || null
+    },
+    categories: {
+      ...fixedList(CategoryType, 20),
+      args: { language: { type: nonNull(GraphQLString) } },
+      resolve: (root, { language }) => listCategories(language)
+    }
+  })
+});
+
+export const schema = new GraphQLSchema({ query: QueryType });
@@ -1,39 +1,43 @@
 import moment from 'moment';
 import sanitizeHtml from 'sanitize-html';
+import { formatSearchExcerpt } from './search.js';
 
-// Format timestamp from "05-09-2008, 09:39 PM" format to readable format
+// Formats found in the archive's post timestamps, e.g. "05-09-2008, 09:39 PM".
+// The first one is used by the forum itself, the rest are fallbacks.
+const TIMESTAMP_FORMATS = [
+  'DD-MM-YYYY, hh:mm A',
+  'MM-DD-YYYY, hh:mm A',  // US format
+  'DD/MM/YYYY, hh:mm A',  // Different separator
+  'MM/DD/YYYY, hh:mm A',  // US format with slashes
+  'YYYY-MM-DD hh:mm A'    // ISO-like format
+];
+
+// Parse an archive timestamp into epoch seconds (the forum shows no time
+// zone, so times are treated as UTC). Returns null when it can't be parsed.
+export function parseTimestamp(timestamp) {
+  if (!timestamp) return null;
+
+  const dt = moment.utc(timestamp, TIMESTAMP_FORMATS, true);
+  return dt.isValid() ? dt.unix() : null;
+}
+
+// ISO-8601 form of epoch seconds
+export function toIsoTimestamp(seconds) {
+  if (seconds === null || seconds === undefined) return null;
+
+  return new Date(seconds * 1000).toISOString();
+}
+
+// Format epoch seconds or a raw archive timestamp for display
 export function formatTimestamp(timestamp) {
-  if (!timestamp) return 'Unknown';
+  if (timestamp === null || timestamp === undefined || timestamp === '') return 'Unknown';
 
-  try {
-    // Try the main expected format first
-    let dt = moment(timestamp, 'DD-MM-YYYY, hh:mm A');
-    if (dt.isValid()) {
-      return dt.format('MMM D, YYYY \\a\\t h:mm A');
-    }
-    
-    // Try alternative formats that might exist
-    const formats = [
-      'MM-DD-YYYY, hh:mm A',  // US format
-      'DD/MM/YYYY, hh:mm A',  // Different separator
-      'MM/DD/YYYY, hh:mm A',  // US format with slashes
-      'YYYY-MM-DD hh:mm A',   // ISO-like format
-    ];
-    
-    for (const format of formats) {
-      dt = moment(timestamp, format);
-      if (dt.isValid()) {
-        return dt.format('MMM D, YYYY \\a\\t h:mm A');
-      }
-    }
-    
-    // If all parsing fails, return original timestamp
-    return timestamp;
-    
-  } catch (error) {
-    // Fallback if parsing fails
-    return timestamp;
-  }
+  const seconds = typeof timestamp === 'number' ? timestamp : parseTimestamp(timestamp);
+  
+  // If parsing fails, return original timestamp
+  if (seconds === null) return timestamp;
+
+  return moment.unix(seconds).utc().format('MMM D, YYYY \\a\\t h:mm A');
 }
 
 // Extract language from thread path
@@ -57,6 +61,12 @@ export function getCategoryFromPath(path) {
   return 'General';
 }
 
+// Whether a thread shows up in the language/category listings. Threads in
+// other forums, or directly in a language forum, are in none of them.
+export function isListedThreadPath(path) {
+  return getLanguageFromPath(path) !== 'Other' && path.split('/').length >= 4;
+}
+
 // Get language flag emoji
 export function getLanguageFlag(language) {
   const flags = {
@@ -105,6 +115,17 @@ export function truncateText(text, length = 100) {
   return plainText.substr(0, length) + '...';
 }
 
+// URL and file name safe form of a name: ASCII letters and digits joined by
+// dashes, e.g. "Discusión General" -> "discusion-general". Can be empty.
+export function slugify(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
 // Create pagination object
 export function getPagination(currentPage, totalItems, itemsPerPage, baseUrl) {
   const totalPages = Math.ceil(totalItems / itemsPerPage);
@@ -148,6 +169,38 @@ export function validatePagination(page, limit) {
   };
 }
 
+// Opaque cursor for keyset pagination, holding the sort key of the last
+// item of a page, e.g. { postNo: 40 }
+export function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// Position of a cursor from encodeCursor, or null when it is malformed or
+// lacks one of the keys. Values are numbers, or null for missing dates.
+export function decodeCursor(cursor, keys) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    const valid = position && typeof position === 'object' &&
+      keys.every(key => position[key] === null || Number.isFinite(position[key]));
+    return valid ? position : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Page of rows fetched with one extra row to tell whether another page
+// follows, and the cursor of that page. toPosition maps the last row of the
+// page to its cursor position.
+export function takePage(rows, limit, toPosition) {
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(toPosition(items[items.length - 1])) : null
+  };
+}
+
 // Create a standardized API response
 export function createApiResponse(data, message = 'Success', status = 200) {
   return {
@@ -181,9 +234,12 @@ export function formatThreadForApi(thread) {
     language: getLanguageFromPath(thread.path),
     category: getCategoryFromPath(thread.path),
     postCount: thread.post_count || 0,
+    participantCount: thread.participant_count || 0,
     lastPoster: thread.last_poster,
-    lastPostTime: thread.last_post_time ? formatTimestamp(thread.last_post_time) : null,
-    createdTime: thread.created_time ? formatTimestamp(thread.created_time) : null,
+    lastPostTime: thread.last_post_at != null ? formatTimestamp(thread.last_post_at) : null,
+    lastPostAt: toIsoTimestamp(thread.last_post_at),
+    createdTime: thread.created_at != null ? formatTimestamp(thread.created_at) : null,
+    createdAt: toIsoTimestamp(thread.created_at),
     threadCreator: thread.thread_creator
   };
 }
@@ -197,8 +253,10 @@ export function formatUserForApi(user) {
     name: user.name,
     postCount: user.post_count || user.total_posts || 0,
     threadCount: user.thread_count || user.total_threads || 0,
-    firstPost: user.first_post ? formatTimestamp(user.first_post) : null,
-    lastPost: user.last_post ? formatTimestamp(user.last_post) : null
+    firstPost: user.first_post != null ? formatTimestamp(user.first_post) : null,
+    firstPostAt: toIsoTimestamp(user.first_post),
+    lastPost: user.last_post != null ? formatTimestamp(user.last_post) : null,
+    lastPostAt: toIsoTimestamp(user.last_post)
   };
 }
 
@@ -212,13 +270,55 @@ export function formatPostForApi(post) {
     postNo: post.post_no,
     userId: post.user_id,
     username: post.username || 'Guest',
-    timestamp: post.timestamp ? formatTimestamp(post.timestamp) : null,
+    timestamp: post.timestamp ? formatTimestamp(post.posted_at ?? post.timestamp) : null,
+    postedAt: toIsoTimestamp(post.posted_at),
     message: sanitizeHtmlContent(post.message),
     threadName: post.thread_name,
     threadPath: post.thread_path
   };
 }
 
+// Convert a post search hit for API
+export function formatPostSearchResultForApi(post) {
+  if (!post) return null;
+  
+  return {
+    id: post.id,
+    threadId: post.thread_id,
+    threadName: post.thread_name,
+    language: post.thread_path ? getLanguageFromPath(post.thread_path) : null,
+    category: post.thread_path ? getCategoryFromPath(post.thread_path) : null,
+    postNo: post.post_no,
+    page: post.page,
+    userId: post.user_id,
+    username: post.username || 'Guest',
+    timestamp: post.timestamp ? formatTimestamp(post.posted_at ?? post.timestamp) : null,
+    postedAt: toIsoTimestamp(post.posted_at),
+    excerpt: formatSearchExcerpt(post.excerpt)
+  };
+}
+
+// Convert a thread participant (see getThreadParticipants) for API
+export function formatThreadParticipantForApi(participant) {
+  if (!participant) return null;
+  
+  const postInThread = (id, postNo, postedAt) => ({
+    id,
+    postNo,
+    timestamp: postedAt != null ? formatTimestamp(postedAt) : null,
+    postedAt: toIsoTimestamp(postedAt)
+  });
+  
+  return {
+    userId: participant.user_id,
+    username: participant.username,
+    postCount: participant.post_count,
+    firstPost: postInThread(participant.first_post_id, participant.first_post_no, participant.first_post_at),
+    lastPost: postInThread(participant.last_post_id, participant.last_post_no, participant.last_post_at),
+    profileUrl: `/users/${participant.user_id}`
+  };
+}
+
 // Generate search highlights
 export function highlightSearchTerm(text, searchTerm) {
   if (!text || !searchTerm) return text;
@@ -238,4 +338,50 @@ export function debounce(func, wait) {
     clearTimeout(timeout);
     timeout = setTimeout(later, wait);
   };
-}
\ No newline at end of file
+}
+
+// 32-bit integer hash (murmur3 finalizer) used to derive pseudo-random values
+function mixHash(value, key) {
+  let h = Math.imul(value ^ key, 0x9e3779b1);
+  h ^= h >>> 15;
+  h = Math.imul(h, 0x85ebca77);
+  h ^= h >>> 13;
+  return h >>> 0;
+}
+
+// Random but reproducible ordering of `size` items: returns a function that
+// maps position i to the index shown there, a bijection on [0, size) fixed
+// by `seed`. Any position can be computed on its own, so a page of a shuffled
+// list never requires shuffling the whole list. Built as a 4-round Feistel
+// network over the next power of four, walking the cycle until the result
+// falls inside the range.
+export function createSeededPermutation(size, seed) {
+  let halfBits = 1;
+  while (2 ** (2 * halfBits) < size) halfBits++;
+
+  const half = 2 ** halfBits;
+  const mask = half - 1;
+  const keys = [0, 1, 2, 3].map(round => mixHash(seed + round, 0x6a09e667));
+
+  const encrypt = (value) => {
+    let left = Math.floor(value / half);
+    let right = value & mask;
+    for (const key of keys) {
+      [left, right] = [right, left ^ (mixHash(right, key) & mask)];
+    }
+    return left * half + right;
+  };
+
+  return (position) => {
+    let value = position;
+    do {
+      value = encrypt(value);
+    } while (value >= size);
+    return value;
+  };
+}
+
+// Random seed for a new shuffle
+export function createRandomSeed() {
+  return Math.floor(Math.random() * 2 ** 32);
+}
@@ -0,0 +1,11 @@
+// Settings shared by the server and the sidecar index builder
+
+// Bumped whenever build-index.js adds or changes tables or what goes into
+// them. The server ignores an index built by an older version instead of
+// querying missing tables or stale content.
+export const INDEX_VERSION = 5;
+
+// Sidecar database next to the forum database, e.g. regnumforum-index.db
+export function getIndexDbPath(dbPath) {
+  return process.env.INDEX_DB_PATH || dbPath.replace(/\.db$/, '') + '-index.db';
+}
@@ -0,0 +1,372 @@
+// Server-side HTML for the thread, profile and listing pages. The markup
+// mirrors the SPA components (public/js/components.js) with plain links, so
+// pages work without JavaScript and the SPA can render over them. Links come
+// from a link builder: serverLinks for the app's own URLs, or the static
+// export's file names.
+import { getLanguageFlag } from './helpers.js';
+
+const SITE_NAME = 'Regnum Online Forum Archive';
+
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatNumber(num) {
+  return (num || 0).toLocaleString('en-US');
+}
+
+function withQuery(path, params) {
+  const queryString = Object.entries(params)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&');
+  return queryString ? `${path}?${queryString}` : path;
+}
+
+// URLs served by the app (see src/routes/pages.js and the SPA router)
+export const serverLinks = {
+  // Unfiltered, the SPA lists random threads unless a sort is given
+  listing: (language = null, category = null, page = 1, sort = null) => withQuery('/', {
+    language,
+    category,
+    sort: sort === 'latest' && (language || category) ? null : sort,
+    page: page > 1 ? page : null
+  }),
+  thread: (threadId, page = 1) => withQuery(`/threads/${threadId}`, { page: page > 1 ? page : null }),
+  user: (userId, tab = 'posts', page = 1) => withQuery(`/users/${userId}`, {
+    tab: tab === 'posts' ? null : tab,
+    [tab === 'threads' ? 'threadsPage' : 'postsPage']: page > 1 ? page : null
+  }),
+  users: () => '/users'
+};
+
+export function threadBreadcrumbs(thread, links = serverLinks) {
+  return [
+    { text: 'Forum', icon: 'bi-house', url: links.listing() },
+    { text: thread.language, url: links.listing(thread.language) },
+    { text: thread.category, url: links.listing(thread.language, thread.category) },
+    { text: thread.name, url: links.thread(thread.id) }
+  ];
+}
+
+export function userBreadcrumbs(user, links = serverLinks) {
+  return [
+    { text: 'Forum', icon: 'bi-house', url: links.listing() },
+    { text: 'Users', url: links.users() },
+    { text: user.name, url: links.user(user.id) }
+  ];
+}
+
+export function listingBreadcrumbs(language = null, category = null, links = serverLinks) {
+  const breadcrumbs = [{ text: 'Forum', icon: 'bi-house', url: links.listing() }];
+  if (language) breadcrumbs.push({ text: language, url: links.listing(language) });
+  if (category) breadcrumbs.push({ text: category, url: links.listing(language, category) });
+  return breadcrumbs;
+}
+
+function renderTime(display, iso) {
+  if (!display) return '';
+  return iso ? `<time datetime="${iso}">${escapeHtml(display)}</time>` : escapeHtml(display);
+}
+
+function renderUserLink(userId, name, links) {
+  return userId && userId > 0
+    ? `<a href="${escapeHtml(links.user(userId))}" class="text-decoration-none fw-bold">${escapeHtml(name)}</a>`
+    : `<span class="fw-bold">${escapeHtml(name || 'Guest')}</span>`;
+}
+
+function renderFolder(language, category, links) {
+  return `
+              <i class="bi bi-folder"></i>
+              <a href="${escapeHtml(links.listing(language))}" class="text-decoration-none">${getLanguageFlag(language)} ${escapeHtml(language)}</a>
+              ›
+              <a href="${escapeHtml(links.listing(language, category))}" class="text-decoration-none">${escapeHtml(category)}</a>`;
+}
+
+// Breadcrumb items for #breadcrumb-content; the last one is the current page.
+// Items without a URL are shown as plain text.
+export function renderBreadcrumb(items) {
+  return items.map((item, index) => {
+    const isLast = index === items.length - 1;
+    const icon = item.icon ? `<i class="bi ${item.icon}"></i> ` : '';
+
+    if (isLast) {
+      return `<li class="breadcrumb-item active" aria-current="page">${icon}${escapeHtml(item.text)}</li>`;
+    }
+
+    return item.url
+      ? `<li class="breadcrumb-item"><a href="${escapeHtml(item.url)}">${icon}${escapeHtml(item.text)}</a></li>`
+      : `<li class="breadcrumb-item">${icon}${escapeHtml(item.text)}</li>`;
+  }).join('');
+}
+
+// Numbered page links around the current page, with previous/next.
+// pageUrl(n) returns the URL of page n.
+export function renderPagination(page, totalPages, pageUrl) {
+  if (totalPages <= 1) return '';
+
+  const link = (target, text, label = null) => `
+        <li class="page-item">
+          <a class="page-link" href="${escapeHtml(pageUrl(target))}"${label ? ` aria-label="${label}"` : ''}>${text}</a>
+        </li>`;
+
+  let items = page > 1 ? link(page - 1, '&laquo;', 'Previous') : '';
+
+  for (let i = Math.max(1, page - 2); i <= Math.min(totalPages, page + 2); i++) {
+    items += i === page
+      ? `
+        <li class="page-item active" aria-current="page"><span class="page-link">${i}</span></li>`
+      : link(i, i);
+  }
+
+  if (page < totalPages) items += link(page + 1, '&raquo;', 'Next');
+
+  return `
+    <nav aria-label="Page navigation" class="my-3">
+      <ul class="pagination justify-content-center">${items}
+      </ul>
+    </nav>`;
+}
+
+export function renderThreadItem(thread, links = serverLinks) {
+  return `
+    <div class="thread-item border-bottom p-3">
+      <div class="row align-items-center">
+        <div class="col-md-8">
+          <a href="${escapeHtml(links.thread(thread.id))}" class="thread-title h5 mb-2 d-block">${escapeHtml(thread.name)}</a>
+          <div class="thread-meta text-muted small">
+            <div class="mb-1">${renderFolder(thread.language, thread.category, links)}
+            </div>
+            ${thread.threadCreator ? `
+            <div class="mb-1">
+              <i class="bi bi-plus-circle"></i>
+              Created by <span class="fw-bold">${escapeHtml(thread.threadCreator)}</span>
+              ${thread.createdTime ? `on ${renderTime(thread.createdTime, thread.createdAt)}` : ''}
+            </div>` : ''}
+            ${thread.lastPoster && thread.lastPostTime ? `
+            <div>
+              <i class="bi bi-clock"></i>
+              Last by <span class="fw-bold">${escapeHtml(thread.lastPoster)}</span>
+              on ${renderTime(thread.lastPostTime, thread.lastPostAt)}
+            </div>` : ''}
+          </div>
+        </div>
+        <div class="col-md-4 text-end">
+          <div class="thread-stats">
+            <div class="fw-bold text-primary h5">${formatNumber(thread.postCount)}</div>
+            <div class="text-muted small">Posts</div>
+          </div>
+        </div>
+      </div>
+    </div>`;
+}
+
+function renderThreadList(threads, links) {
+  if (threads.length === 0) {
+    return `
+    <div class="error-state">
+      <h4 class="text-muted">No threads found</h4>
+    </div>`;
+  }
+
+  return `
+    <div class="thread-list">${threads.map(thread => renderThreadItem(thread, links)).join('')}
+    </div>`;
+}
+
+export function renderPost(post, links = serverLinks) {
+  return `
+    <article class="card post-card mb-4" id="post-${post.id}">
+      <div class="card-header">
+        <div class="row align-items-center">
+          <div class="col-md-8">
+            <i class="bi bi-person-circle me-2 fs-4"></i>
+            ${renderUserLink(post.userId, post.username, links)}
+            <a href="#post-${post.id}" class="badge bg-primary ms-2 text-decoration-none">Post #${post.postNo || post.id}</a>
+          </div>
+          <div class="col-md-4 text-md-end">
+            <small class="text-muted">
+              <i class="bi bi-clock"></i>
+              ${renderTime(post.timestamp, post.postedAt) || 'Unknown time'}
+            </small>
+          </div>
+        </div>
+      </div>
+      <div class="card-body">
+        ${post.message || '<em class="text-muted">No content available</em>'}
+      </div>
+    </article>`;
+}
+
+// Thread header, one page of posts and links to the other pages
+export function renderThreadPage(thread, posts, pagination, links = serverLinks) {
+  const pages = renderPagination(pagination.page, pagination.totalPages, page => links.thread(thread.id, page));
+
+  return `
+    <div class="card mb-4">
+      <div class="card-header">
+        <div class="row align-items-center">
+          <div class="col-md-8">
+            <h2 class="mb-1"><i class="bi bi-chat-text"></i> ${escapeHtml(thread.name)}</h2>
+            <div class="text-muted">${renderFolder(thread.language, thread.category, links)}
+            </div>
+          </div>
+          <div class="col-md-4 text-md-end">
+            <span class="badge bg-primary fs-6"><i class="bi bi-chat-dots"></i> ${formatNumber(thread.postCount)} posts</span>
+          </div>
+        </div>
+      </div>
+    </div>
+    ${pages}
+    <div class="posts-container" id="posts-container">${posts.map(post => renderPost(post, links)).join('')}
+    </div>
+    ${pages}
+    <div class="text-center mt-4 mb-4">
+      <a href="${escapeHtml(links.listing(thread.language, thread.category))}" class="btn btn-outline-primary">
+        <i class="bi bi-arrow-left"></i> Back to ${escapeHtml(thread.category)}
+      </a>
+      <a href="${escapeHtml(links.listing())}" class="btn btn-outline-secondary ms-2"><i class="bi bi-house"></i> Forum Home</a>
+    </div>`;
+}
+
+// One page of a thread listing (home page or a language/category).
+// pageUrl(n) returns the URL of page n of the same listing.
+export function renderListingPage(title, threads, pagination, pageUrl, links = serverLinks) {
+  const pages = renderPagination(pagination.page, pagination.totalPages, pageUrl);
+
+  return `
+    <h4 class="mb-3">${escapeHtml(title)}</h4>
+    ${pages}
+    ${renderThreadList(threads, links)}
+    ${pages}`;
+}
+
+// Profile card with either the user's posts or threads, one page at a time
+export function renderUserPage(user, tab, items, pagination, links = serverLinks) {
+  const pages = renderPagination(pagination.page, pagination.totalPages, page => links.user(user.id, tab, page));
+  const tabLink = (name, icon, label, count) => `
+        <li class="nav-item">
+          <a class="nav-link ${tab === name ? 'active' : ''}" href="${escapeHtml(links.user(user.id, name))}"><i class="bi ${icon}"></i> ${label} (${formatNumber(count)})</a>
+        </li>`;
+
+  return `
+    <div class="container">
+      <div class="card mb-4">
+        <div class="card-header">
+          <h3><i class="bi bi-person-circle"></i> ${escapeHtml(user.name)}</h3>
+        </div>
+        <div class="card-body">
+          <p><strong>${formatNumber(user.postCount)}</strong> posts, <strong>${formatNumber(user.threadCount)}</strong> threads</p>
+          ${user.firstPost ? `<p><i class="bi bi-calendar-plus"></i> Joined: ${renderTime(user.firstPost, user.firstPostAt)}</p>` : ''}
+          ${user.lastPost ? `<p><i class="bi bi-clock"></i> Last seen: ${renderTime(user.lastPost, user.lastPostAt)}</p>` : ''}
+        </div>
+      </div>
+      <ul class="nav nav-tabs mb-3">${tabLink('posts', 'bi-chat-dots', 'Posts', user.postCount)}${tabLink('threads', 'bi-chat-text', 'Threads', user.threadCount)}
+      </ul>
+      ${pages}
+      ${tab === 'threads'
+        ? renderThreadList(items, links)
+        : items.map(post => `
+      <div class="mb-2">
+        <a href="${escapeHtml(links.thread(post.threadId))}" class="fw-bold text-decoration-none">${escapeHtml(post.threadName || `Thread ${post.threadId}`)}</a>
+      </div>${renderPost(post, links)}`).join('')}
+      ${pages}
+    </div>`;
+}
+
+export function renderNotFound(message, links = serverLinks) {
+  return `
+    <div class="error-state text-center p-5">
+      <h4 class="text-muted">${escapeHtml(message)}</h4>
+      <a href="${escapeHtml(links.listing())}" class="btn btn-outline-primary mt-3"><i class="bi bi-house"></i> Forum Home</a>
+    </div>`;
+}
+
+// Puts page metadata into the index.html template: title, description,
+// keywords, canonical URL, Open Graph tags and JSON-LD structured data.
+// Replacements are functions so "$" in thread titles is kept literally.
+export function injectMetadata(html, { title, description, keywords, canonicalUrl, structuredData }) {
+  const fullTitle = title === SITE_NAME ? title : `${title} - ${SITE_NAME}`;
+
+  html = html
+    .replace(/<title>.*?<\/title>/i, () => `<title>${escapeHtml(fullTitle)}</title>`)
+    .replace(/<meta name="description" content="[^"]*">/i, () => `<meta name="description" content="${escapeHtml(description)}">`)
+    .replace(/<meta name="keywords" content="[^"]*">/i, () => `<meta name="keywords" content="${escapeHtml(keywords)}">`)
+    .replace(/<link rel="canonical" href="[^"]*">/i, () => `<link rel="canonical" href="${escapeHtml(canonicalUrl)}">`)
+    .replace(/<meta property="og:title" content="[^"]*">/i, () => `<meta property="og:title" content="${escapeHtml(fullTitle)}">`)
+    .replace(/<meta property="og:description" content="[^"]*">/i, () => `<meta property="og:description" content="${escapeHtml(description)}">`)
+    .replace(/<meta property="og:url" content="[^"]*">/i, () => `<meta property="og:url" content="${escapeHtml(canonicalUrl)}">`);
+
+  if (structuredData) {
+    // Keep "</script>" in titles from closing the tag
+    const json = JSON.stringify({ '@context': 'https://schema.org', ...structuredData }).replace(/</g, '\\u003c');
+    // index.html has no closing head tag, so it goes after the title
+    html = html.replace(/<\/title>/i, () => `</title>\n    <script type="application/ld+json">${json}</script>`);
+  }
+
+  return html;
+}
+
+// Full page: metadata plus the rendered breadcrumb and main content. The
+// content is marked with data-ssr so the SPA keeps it on screen (instead of
+// a loading spinner) until it has rendered the same page.
+export function renderDocument(html, { breadcrumbs = [], content, ...metadata }) {
+  html = injectMetadata(html, metadata);
+
+  if (breadcrumbs.length > 1) {
+    html = html
+      .replace('<nav aria-label="breadcrumb" id="breadcrumb-nav" style="display: none;">', '<nav aria-label="breadcrumb" id="breadcrumb-nav">')
+      .replace(/(<ol class="breadcrumb" id="breadcrumb-content">)[\s\S]*?(<\/ol>)/,
+        (match, open, close) => `${open}${renderBreadcrumb(breadcrumbs)}${close}`);
+  }
+
+  return html.replace(/(<main id="main-content"[^>]*>)[\s\S]*?(<\/main>)/,
+    (match, open, close) => `${open}<div data-ssr>${content}\n</div>${close}`);
+}
+
+// Standalone page for the static export (src/scripts/export-static.js): no
+// SPA scripts, and every link is relative to `root` so the export also
+// browses from the file system.
+export function renderStaticDocument({ title, description, breadcrumbs = [], content }, root, links) {
+  const fullTitle = title === SITE_NAME ? title : `${title} - ${SITE_NAME}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(fullTitle)}</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap-icons@1.10.0/font/bootstrap-icons.css" rel="stylesheet">
+  <link href="${root}css/forum.css" rel="stylesheet">
+</head>
+<body>
+  <header class="bg-primary text-white py-4 mb-4">
+    <div class="container d-flex align-items-center">
+      <img src="${root}assets/cor-logo.png" alt="Champions of Regnum" class="img-fluid me-3" style="max-height: 80px;">
+      <h1 class="display-5 mb-0">${SITE_NAME}</h1>
+    </div>
+  </header>
+  <div class="container">
+    <nav class="navbar navbar-light bg-white rounded shadow-sm mb-4">
+      <div class="container-fluid">
+        <a class="navbar-brand" href="${escapeHtml(links.listing())}"><i class="bi bi-house-door"></i> Forum Home</a>
+        <a class="nav-link" href="${root}search.html"><i class="bi bi-search"></i> Search</a>
+      </div>
+    </nav>
+    ${breadcrumbs.length > 1 ? `<nav aria-label="breadcrumb">
+      <ol class="breadcrumb">${renderBreadcrumb(breadcrumbs)}</ol>
+    </nav>` : ''}
+    <main id="main-content" class="container-fluid">${content}
+    </main>
+  </div>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,221 @@
+// Search helpers shared by the search index builder and the database layer
+
+// Strip HTML markup from a post so only the readable text gets indexed.
+// Scripts and styles are dropped with their content.
+export function stripHtmlForIndex(html) {
+  if (!html) return '';
+
+  return html
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?(<\/\1\s*>|$)/gi, ' ')
+    .replace(/<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#0*39;|&apos;/gi, "'")
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&amp;/gi, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Forum languages that `in:` resolves to; anything else is a category
+const SEARCH_LANGUAGES = ['Español', 'English', 'Português', 'Deutsch', 'Français', 'Italiano'];
+
+// Operators understood by parseSearchQuery
+const SEARCH_OPERATORS = ['author', 'in', 'before', 'after'];
+
+// -word, key:value, key:"quoted value", "quoted phrase" or a bare word
+const SEARCH_TOKEN_PATTERN = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|([^\s"]+))/gi;
+
+// Compare names ignoring case and accents ("espanol" finds "Español")
+function foldText(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Parse a YYYY, YYYY-MM or YYYY-MM-DD date into the first day it covers,
+// formatted as YYYY-MM-DD. Returns null for anything else, including days
+// the month does not have (2009-02-31).
+export function parseSearchDate(value) {
+  if (!value) return null;
+
+  const match = String(value).trim().match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/);
+  if (!match) return null;
+
+  const [, year, month = '1', day = '1'] = match;
+  const monthNumber = parseInt(month);
+  const dayNumber = parseInt(day);
+  if (monthNumber < 1 || monthNumber > 12) return null;
+
+  const daysInMonth = new Date(Date.UTC(parseInt(year), monthNumber, 0)).getUTCDate();
+  if (dayNumber < 1 || dayNumber > daysInMonth) return null;
+
+  return `${year}-${String(monthNumber).padStart(2, '0')}-${String(dayNumber).padStart(2, '0')}`;
+}
+
+// Parse the advanced search syntax, e.g.
+//   "siege of Algaros" -bug author:Ryll in:Deutsch after:2009-01 before:2011-06
+//
+// - "quoted text" matches an exact phrase, bare words must all appear
+// - -word / -"phrase" excludes matches containing it
+// - author:name only matches posts written by that user, -author:name
+//   leaves out the user's posts
+// - in:name filters by language when it names one, otherwise by category
+// - after:date keeps posts from the start of that year/month/day onwards,
+//   before:date keeps posts written before it; dates that do not parse are
+//   collected in invalidDates
+export function parseSearchQuery(input) {
+  const query = {
+    terms: [],
+    phrases: [],
+    excluded: [],
+    author: null,
+    excludedAuthors: [],
+    language: null,
+    category: null,
+    after: null,
+    before: null,
+    invalidDates: []
+  };
+
+  if (!input) return query;
+
+  for (const match of String(input).matchAll(SEARCH_TOKEN_PATTERN)) {
+    const [, negated, key, quoted, bare] = match;
+    const value = (quoted !== undefined ? quoted : bare || '').trim();
+    const operator = key ? key.toLowerCase() : null;
+
+    if (operator && SEARCH_OPERATORS.includes(operator)) {
+      if (!value) continue;
+
+      if (operator === 'author') {
+        if (negated) {
+          query.excludedAuthors.push(value);
+        } else {
+          query.author = value;
+        }
+      } else if (operator === 'in') {
+        const language = SEARCH_LANGUAGES.find(lang => foldText(lang) === foldText(value));
+        if (language) {
+          query.language = language;
+        } else {
+          query.category = value;
+        }
+      } else {
+        query[operator] = parseSearchDate(value);
+        if (!query[operator]) query.invalidDates.push(`${operator}:${value}`);
+      }
+      continue;
+    }
+
+    // Unknown "key:" prefixes are just part of the text
+    const text = key ? `${key}:${value}` : value;
+
+    // Skip tokens without letters or digits, they can never match
+    if (!/[\p{L}\p{N}]/u.test(text)) continue;
+
+    if (negated) {
+      query.excluded.push(text);
+    } else if (quoted !== undefined) {
+      query.phrases.push(text);
+    } else {
+      query.terms.push(text);
+    }
+  }
+
+  return query;
+}
+
+// Quote text as an FTS5 string so operators inside it are not interpreted
+function quoteFtsString(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+// Turn a parsed search query into a safe FTS5 MATCH expression. Every word
+// and phrase is quoted, so FTS5 operators typed by users (AND, OR, NEAR,
+// *, ...) are treated as plain text. Returns null when there is nothing
+// to match, as FTS5 cannot evaluate a query made of exclusions only.
+export function buildFtsQuery(query) {
+  const positive = [...query.phrases, ...query.terms].map(quoteFtsString);
+  if (positive.length === 0) return null;
+
+  let matchQuery = positive.join(' ');
+
+  if (query.excluded.length > 0) {
+    const excluded = query.excluded.map(quoteFtsString);
+    matchQuery += excluded.length === 1
+      ? ` NOT ${excluded[0]}`
+      : ` NOT (${excluded.join(' OR ')})`;
+  }
+
+  return `(${matchQuery})`;
+}
+
+// Turn the exclusions of a parsed search query into an FTS5 MATCH expression
+// finding the text to leave out, or null when there are none. Post searches
+// without text to match drop the posts it matches, thread searches every
+// thread with a post or title it matches.
+export function buildFtsExclusionQuery(query) {
+  if (query.excluded.length === 0) return null;
+
+  return query.excluded.map(quoteFtsString).join(' OR ');
+}
+
+// Build an FTS5 prefix query for search-as-you-type, so "siege alg" finds
+// "Siege of Algaros". Returns null when the input has no searchable words.
+export function buildFtsPrefixQuery(input) {
+  const words = String(input || '').match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+
+  return words.map(word => `${quoteFtsString(word)}*`).join(' ');
+}
+
+// Build the filters used by the database search methods from a search
+// string and explicit request parameters. Explicit parameters take
+// precedence over operators typed into the query. A query made of
+// operators only (author:Ryll in:Deutsch) has no matchQuery and lists
+// everything passing the filters. Exclusions (excludeQuery and
+// excludedAuthors) apply to single posts in post searches and to whole
+// threads in thread searches. `error` tells why the search cannot run.
+export function buildSearchFilters(input, params = {}) {
+  const query = parseSearchQuery(input);
+  const invalidDates = [
+    ...query.invalidDates,
+    ...['after', 'before']
+      .filter(name => params[name] && !parseSearchDate(params[name]))
+      .map(name => `${name}=${params[name]}`)
+  ];
+
+  return {
+    matchQuery: buildFtsQuery(query),
+    excludeQuery: buildFtsExclusionQuery(query),
+    highlightTerms: [...query.phrases, ...query.terms],
+    author: params.author || query.author,
+    excludedAuthors: query.excludedAuthors,
+    language: params.language || query.language,
+    category: params.category || query.category,
+    after: parseSearchDate(params.after) || query.after,
+    before: parseSearchDate(params.before) || query.before,
+    error: invalidDates.length > 0
+      ? `Invalid date ${invalidDates.join(', ')}, expected an existing YYYY, YYYY-MM or YYYY-MM-DD date`
+      : null
+  };
+}
+
+// Markers passed to FTS5 snippet(); the excerpt is escaped before they are
+// swapped for <mark> tags so post text can never inject markup
+export const EXCERPT_MARK_START = '\u0001';
+export const EXCERPT_MARK_END = '\u0002';
+
+// Convert a raw snippet() excerpt into HTML with highlighted matches
+export function formatSearchExcerpt(excerpt) {
+  if (!excerpt) return '';
+
+  return excerpt
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split(EXCERPT_MARK_START).join('<mark>')
+    .split(EXCERPT_MARK_END).join('</mark>');
+}
@@ -0,0 +1,190 @@
+// Renders a whole thread as a downloadable document, for
+// GET /api/threads/:id/export. Threads and posts are the API objects from
+// formatThreadForApi/formatPostForApi, so post messages have already been
+// through sanitizeHtmlContent and only contain its allowed tags.
+import { slugify } from './helpers.js';
+import { escapeHtml } from './render.js';
+import { EpubWriter, renderEpubPosts } from './epub.js';
+
+export const THREAD_EXPORT_FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  epub: { contentType: 'application/epub+zip', extension: 'epub' }
+};
+
+// Posts per EPUB chapter, the same as a page of the thread view
+const POSTS_PER_CHAPTER = 20;
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// Numeric entities outside Unicode, or naming a surrogate, are kept as typed
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1));
+      const isCodePoint = code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+      return isCodePoint ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+// Text of a sanitized post message. With markdown set, formatting, links and
+// images become Markdown; otherwise links are kept as "text (url)".
+export function htmlToText(html, markdown = false) {
+  const preformatted = [];
+
+  let text = String(html || '')
+    // Keep the line breaks of code blocks, everything else is reflowed
+    .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (match, code) => {
+      const content = decodeEntities(code.replace(/<[^>]*>/g, '')).replace(/^\n+|\n+$/g, '');
+      preformatted.push(markdown ? `\`\`\`\n${content}\n\`\`\`` : content);
+      return `<p>\u0000${preformatted.length - 1}\u0000</p>`;
+    })
+    .replace(/\s+/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<hr\s*\/?>/gi, '\n\n---\n\n')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, heading) =>
+      `\n\n${markdown ? `${'#'.repeat(Number(level))} ` : ''}${heading.trim()}\n\n`)
+    .replace(/<(b|strong)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi, (match, tag, bold) => (markdown ? `**${bold}**` : bold))
+    .replace(/<(i|em)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/gi, (match, tag, italic) => (markdown ? `_${italic}_` : italic))
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const linkText = label.replace(/<[^>]*>/g, '').trim() || href;
+      if (markdown) return `[${linkText}](${href})`;
+      return linkText === href ? href : `${linkText} (${href})`;
+    })
+    .replace(/<img [^>]*>/gi, (tag) => {
+      const src = (tag.match(/src="([^"]*)"/i) || [])[1] || '';
+      const alt = (tag.match(/alt="([^"]*)"/i) || [])[1] || '';
+      return markdown ? `![${alt}](${src})` : `[image: ${alt || src}]`;
+    })
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<\/?(p|div|ul|ol|table|thead|tbody)[^>]*>/gi, '\n\n')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<\/t[dh]>\s*<t[dh][^>]*>/gi, ' | ');
+
+  // Quotes are prefixed line by line, innermost first
+  const innermostQuote = /<blockquote[^>]*>((?:(?!<blockquote)[\s\S])*?)<\/blockquote>/i;
+  while (innermostQuote.test(text)) {
+    text = text.replace(innermostQuote, (match, quote) => {
+      const lines = quote.replace(/\n{3,}/g, '\n\n').trim().split('\n');
+      return `\n\n${lines.map(line => `> ${line.trim()}`.trimEnd()).join('\n')}\n\n`;
+    });
+  }
+
+  return decodeEntities(text.replace(/<[^>]*>/g, ''))
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => preformatted[index])
+    .trim();
+}
+
+function postHeading(post) {
+  return `#${post.postNo} · ${post.username} · ${post.timestamp || 'Unknown date'}`;
+}
+
+function renderMarkdown(thread, posts, sourceUrl) {
+  const lines = [
+    `# ${thread.name}`,
+    '',
+    `${thread.language} › ${thread.category} · ${thread.postCount} posts`,
+    '',
+    `Source: ${sourceUrl}`
+  ];
+
+  for (const post of posts) {
+    lines.push('', '---', '', `## ${postHeading(post)}`, '', htmlToText(post.message, true));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+function renderText(thread, posts, sourceUrl) {
+  const lines = [
+    thread.name,
+    '='.repeat(thread.name.length),
+    `${thread.language} › ${thread.category} · ${thread.postCount} posts`,
+    sourceUrl
+  ];
+
+  for (const post of posts) {
+    const heading = postHeading(post);
+    lines.push('', '', heading, '-'.repeat(heading.length), '', htmlToText(post.message));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Standalone page with its styles inline, so it opens anywhere offline
+function renderHtml(thread, posts, sourceUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(thread.name)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; color: #212529; }
+    header { border-bottom: 2px solid #dee2e6; margin-bottom: 1.5rem; }
+    .meta, .post-meta { color: #6c757d; font-size: 0.9rem; }
+    article { border-bottom: 1px solid #dee2e6; padding: 1rem 0; }
+    article h2 { font-size: 1rem; margin: 0 0 0.5rem; }
+    blockquote { border-left: 3px solid #dee2e6; margin: 0.5rem 0; padding-left: 1rem; color: #495057; }
+    img { max-width: 100%; }
+    pre { background: #f8f9fa; padding: 0.75rem; overflow-x: auto; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(thread.name)}</h1>
+    <p class="meta">${escapeHtml(thread.language)} › ${escapeHtml(thread.category)} · ${thread.postCount} posts · <a href="${escapeHtml(sourceUrl)}">${escapeHtml(sourceUrl)}</a></p>
+  </header>
+${posts.map(post => `  <article id="post-${post.postNo}">
+    <h2>#${post.postNo} · ${escapeHtml(post.username)} <span class="post-meta">${escapeHtml(post.timestamp || 'Unknown date')}</span></h2>
+    <div class="post-content">${post.message}</div>
+  </article>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+const RENDERERS = { md: renderMarkdown, txt: renderText, html: renderHtml };
+
+// Document for the md, txt or html format with every post of the thread
+export function renderThreadExport(format, thread, posts, sourceUrl) {
+  return RENDERERS[format](thread, posts, sourceUrl);
+}
+
+// Stream the thread to output as an EPUB book with a chapter per page
+export async function writeThreadEpub(output, thread, posts, sourceUrl) {
+  const epub = new EpubWriter(output, {
+    title: thread.name,
+    language: thread.language,
+    identifier: sourceUrl,
+    description: `${thread.language} › ${thread.category} · ${thread.postCount} posts`
+  });
+
+  await epub.start();
+
+  for (let start = 0; start < posts.length; start += POSTS_PER_CHAPTER) {
+    const chapterPosts = posts.slice(start, start + POSTS_PER_CHAPTER);
+    const first = chapterPosts[0].postNo;
+    const last = chapterPosts[chapterPosts.length - 1].postNo;
+
+    await epub.addChapter(
+      `Page ${start / POSTS_PER_CHAPTER + 1} (posts #${first}–#${last})`,
+      renderEpubPosts(chapterPosts)
+    );
+  }
+
+  await epub.finish();
+}
+
+// Download file name, e.g. "123-siege-of-algaros.md"
+export function getThreadExportFilename(thread, format) {
+  const slug = slugify(thread.name).slice(0, 60).replace(/-+$/, '');
+  return `${thread.id}${slug ? `-${slug}` : ''}.${THREAD_EXPORT_FORMATS[format].extension}`;
+}
@@ -0,0 +1,136 @@
+// Minimal streaming ZIP writer, enough for EPUB files. Entries are written
+// to the output as they are added; only their directory records are kept
+// until finish(). No ZIP64, so archives are limited to 65535 entries and
+// 4 GB.
+import zlib from 'zlib';
+
+const CRC_TABLE = new Uint32Array(256).map((value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS time and date fields
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+const MAX_ENTRIES = 0xFFFF;
+const MAX_OFFSET = 0xFFFFFFFF;
+
+// Language encoding flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+export class ZipWriter {
+  // output is a writable stream, e.g. an Express response
+  constructor(output) {
+    this.output = output;
+    this.entries = [];
+    this.offset = 0;
+    this.modified = toDosDateTime(new Date());
+  }
+
+  // Resolves once the output can take more data (or was closed)
+  async write(buffer) {
+    if (this.offset + buffer.length > MAX_OFFSET) {
+      throw new Error('ZIP archive is too large');
+    }
+
+    this.offset += buffer.length;
+
+    if (!this.output.write(buffer) && !this.output.destroyed) {
+      await new Promise(resolve => {
+        const done = () => {
+          this.output.off('drain', done);
+          this.output.off('close', done);
+          resolve();
+        };
+        this.output.on('drain', done);
+        this.output.on('close', done);
+      });
+    }
+  }
+
+  // Add a file. With store set it is written uncompressed, as the EPUB
+  // mimetype entry must be.
+  async addFile(name, content, { store = false } = {}) {
+    if (this.entries.length >= MAX_ENTRIES) {
+      throw new Error('Too many entries for a ZIP archive');
+    }
+
+    const data = Buffer.from(content);
+    const compressed = store ? data : zlib.deflateRawSync(data);
+    const nameBuffer = Buffer.from(name);
+
+    const entry = {
+      nameBuffer,
+      method: store ? 0 : 8,
+      crc: crc32(data),
+      compressedSize: compressed.length,
+      size: data.length,
+      offset: this.offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(UTF8_FLAG, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(this.modified.time, 10);
+    header.writeUInt16LE(this.modified.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+
+    this.entries.push(entry);
+    await this.write(Buffer.concat([header, nameBuffer, compressed]));
+  }
+
+  // Write the central directory. The output is left open.
+  async finish() {
+    const directoryOffset = this.offset;
+
+    const records = this.entries.map(entry => {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014B50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(UTF8_FLAG, 8);
+      record.writeUInt16LE(entry.method, 10);
+      record.writeUInt16LE(this.modified.time, 12);
+      record.writeUInt16LE(this.modified.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      // Extra field, comment, disk number and attributes stay zero
+      record.writeUInt32LE(entry.offset, 42);
+      return Buffer.concat([record, entry.nameBuffer]);
+    });
+    const directory = Buffer.concat(records);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+
+    await this.write(Buffer.concat([directory, end]));
+  }
+}
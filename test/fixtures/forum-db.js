@@ -0,0 +1,91 @@
+// Small forum database with the tables of the archive (threads, posts and
+// users), filled with reproducible content for the tests
+import sqlite3 from 'sqlite3';
+
+const USERS = ['Ryll', 'Aggersborg', 'Meneldor', 'Xenia', "O'Brien", 'Caro', 'Zaru', 'Lothar'];
+
+const FORUMS = {
+  English: ['General Discussion', 'War Reports', "Players' Corner"],
+  Deutsch: ['Allgemeines', 'Kriegsberichte'],
+  Español: ['Discusión general']
+};
+
+const WORDS = ('siege of Algaros bug fortress realm alsius ignis syrtis dragon warmaster ' +
+  'patch notes castle relic gem attack defend').split(' ');
+
+// Deterministic pseudo-random numbers (a linear congruential generator)
+function createRandom(seed) {
+  let state = seed;
+  return (max) => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return state % max;
+  };
+}
+
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+// Forum timestamp as the archive stores it, e.g. "17-08-2010, 02:11 PM"
+function formatForumTimestamp(date) {
+  const pad = value => String(value).padStart(2, '0');
+  const hours = date.getUTCHours() % 12 || 12;
+  return `${pad(date.getUTCDate())}-${pad(date.getUTCMonth() + 1)}-${date.getUTCFullYear()}, ` +
+    `${pad(hours)}:${pad(date.getUTCMinutes())} ${date.getUTCHours() < 12 ? 'AM' : 'PM'}`;
+}
+
+// Write the fixture database to `file`, which must not exist yet
+export async function createForumDatabase(file) {
+  const random = createRandom(1);
+  const words = count => Array.from({ length: count }, () => WORDS[random(WORDS.length)]).join(' ');
+
+  const db = await new Promise((resolve, reject) => {
+    const opened = new sqlite3.Database(file, (err) => (err ? reject(err) : resolve(opened)));
+  });
+
+  try {
+    await run(db, 'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT)');
+    await run(db, 'CREATE TABLE threads (id INTEGER PRIMARY KEY, name TEXT, path TEXT)');
+    await run(db, `CREATE TABLE posts (
+      id INTEGER PRIMARY KEY, thread_id INTEGER, post_no INTEGER, user_id INTEGER, timestamp TEXT, message TEXT
+    )`);
+
+    await run(db, 'BEGIN');
+    await run(db, "INSERT INTO users VALUES (0, '')");
+    for (const [index, name] of USERS.entries()) {
+      await run(db, 'INSERT INTO users VALUES (?, ?)', [index + 1, name]);
+    }
+
+    const paths = Object.entries(FORUMS).flatMap(([language, categories]) =>
+      categories.map(category => `Calendar/Champions of Regnum/${language}/${category}`));
+    // A thread outside the language/category layout
+    paths.push('Calendar/Announcements');
+
+    let threadId = 0;
+    let postId = 0;
+    for (const path of paths) {
+      for (let threadNo = 0; threadNo < 6; threadNo++) {
+        threadId++;
+        await run(db, 'INSERT INTO threads VALUES (?, ?, ?)', [threadId, words(3), path]);
+
+        let time = Date.UTC(2007 + random(6), random(12), 1 + random(28), random(24), random(60));
+        const postCount = 1 + random(45);
+        for (let postNo = 1; postNo <= postCount; postNo++) {
+          postId++;
+          time += random(72 * 3600) * 1000;
+          const message = postNo === 2
+            ? `<p>${words(12)} &amp; &quot;${words(2)}&quot;</p><script>evil()</script>`
+            : `<p>${words(30)} <b>${words(2)}</b></p>`;
+          await run(db, 'INSERT INTO posts VALUES (?, ?, ?, ?, ?, ?)', [
+            postId, threadId, postNo, random(USERS.length + 1), formatForumTimestamp(new Date(time)), message
+          ]);
+        }
+      }
+    }
+    await run(db, 'COMMIT');
+  } finally {
+    await new Promise(resolve => db.close(resolve));
+  }
+}
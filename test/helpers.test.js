@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSeededPermutation,
+  encodeCursor,
+  decodeCursor,
+  takePage,
+  isListedThreadPath
+} from '../src/utils/helpers.js';
+
+test('createSeededPermutation is a bijection on [0, size)', () => {
+  for (const size of [1, 2, 5, 16, 17, 1000]) {
+    const permute = createSeededPermutation(size, 42);
+    const values = Array.from({ length: size }, (value, position) => permute(position));
+
+    assert.deepEqual([...values].sort((a, b) => a - b), values.map((value, index) => index));
+  }
+});
+
+test('createSeededPermutation is fixed by its seed', () => {
+  const order = seed => {
+    const permute = createSeededPermutation(50, seed);
+    return Array.from({ length: 50 }, (value, position) => permute(position));
+  };
+
+  assert.deepEqual(order(7), order(7));
+  assert.notDeepEqual(order(7), order(8));
+  assert.notDeepEqual(order(7), Array.from({ length: 50 }, (value, index) => index));
+});
+
+test('decodeCursor reads what encodeCursor wrote', () => {
+  const cursor = encodeCursor({ postNo: 40, postedAt: null });
+
+  assert.deepEqual(decodeCursor(cursor, ['postNo', 'postedAt']), { postNo: 40, postedAt: null });
+});
+
+test('decodeCursor rejects malformed cursors', () => {
+  assert.equal(decodeCursor('nonsense', ['postNo']), null);
+  assert.equal(decodeCursor(encodeCursor({ id: 3 }), ['postNo']), null);
+  assert.equal(decodeCursor(encodeCursor({ postNo: '40' }), ['postNo']), null);
+  assert.equal(decodeCursor(encodeCursor(5), ['postNo']), null);
+  assert.equal(decodeCursor(encodeCursor(null), []), null);
+});
+
+test('takePage returns a cursor only when another page follows', () => {
+  const rows = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+  const first = takePage(rows, 2, row => ({ id: row.id }));
+  assert.deepEqual(first.items, [{ id: 1 }, { id: 2 }]);
+  assert.equal(first.hasMore, true);
+  assert.deepEqual(decodeCursor(first.nextCursor, ['id']), { id: 2 });
+
+  const last = takePage(rows, 3, row => ({ id: row.id }));
+  assert.equal(last.hasMore, false);
+  assert.equal(last.nextCursor, null);
+});
+
+test('isListedThreadPath needs a language and a category in the path', () => {
+  assert.equal(isListedThreadPath('Calendar/Champions of Regnum/English/War Reports'), true);
+  assert.equal(isListedThreadPath('Calendar/Announcements'), false);
+  assert.equal(isListedThreadPath('Calendar/English/Off topic'), false);
+  assert.equal(isListedThreadPath('Calendar/Champions of Regnum/Русский/Общее'), false);
+});
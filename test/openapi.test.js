@@ -0,0 +1,45 @@
+// Runs the OpenAPI check (src/scripts/check-openapi.js) on the fixture
+// database, with and without the search index
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { createForumDatabase } from './fixtures/forum-db.js';
+
+const execFileAsync = promisify(execFile);
+
+let dir;
+let dbPath;
+
+async function runScript(script, env) {
+  try {
+    return await execFileAsync(process.execPath, [script], { env: { ...process.env, ...env } });
+  } catch (error) {
+    assert.fail(`${script} exited with ${error.code}:\n${error.stdout}${error.stderr}`);
+  }
+}
+
+before(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'forum-test-'));
+  dbPath = path.join(dir, 'regnumforum.db');
+  await createForumDatabase(dbPath);
+  await runScript('src/scripts/build-index.js', { DB_PATH: dbPath });
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('the API matches its specification', async () => {
+  await runScript('src/scripts/check-openapi.js', { DB_PATH: dbPath });
+});
+
+test('the API matches its specification without the search index', async () => {
+  await runScript('src/scripts/check-openapi.js', {
+    DB_PATH: dbPath,
+    INDEX_DB_PATH: path.join(dir, 'missing-index.db')
+  });
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSearchDate,
+  parseSearchQuery,
+  buildFtsQuery,
+  buildFtsPrefixQuery,
+  buildSearchFilters,
+  stripHtmlForIndex
+} from '../src/utils/search.js';
+
+test('parseSearchDate accepts years, months and days', () => {
+  assert.equal(parseSearchDate('2009'), '2009-01-01');
+  assert.equal(parseSearchDate('2009-6'), '2009-06-01');
+  assert.equal(parseSearchDate(' 2008-02-29 '), '2008-02-29');
+});
+
+test('parseSearchDate rejects dates that do not exist', () => {
+  assert.equal(parseSearchDate('2009-02-29'), null);
+  assert.equal(parseSearchDate('2009-02-31'), null);
+  assert.equal(parseSearchDate('2009-13'), null);
+  assert.equal(parseSearchDate('2009-00-10'), null);
+  assert.equal(parseSearchDate('soon'), null);
+  assert.equal(parseSearchDate(''), null);
+});
+
+test('parseSearchQuery splits words, phrases, exclusions and operators', () => {
+  const query = parseSearchQuery('"siege of Algaros" -bug -"bug report" gem author:Ryll in:deutsch after:2009-01 before:2011');
+
+  assert.deepEqual(query.phrases, ['siege of Algaros']);
+  assert.deepEqual(query.terms, ['gem']);
+  assert.deepEqual(query.excluded, ['bug', 'bug report']);
+  assert.equal(query.author, 'Ryll');
+  assert.deepEqual(query.excludedAuthors, []);
+  assert.equal(query.language, 'Deutsch');
+  assert.equal(query.category, null);
+  assert.equal(query.after, '2009-01-01');
+  assert.equal(query.before, '2011-01-01');
+  assert.deepEqual(query.invalidDates, []);
+});
+
+test('parseSearchQuery collects negated authors apart from the author filter', () => {
+  const query = parseSearchQuery('gem -author:Ryll -author:"O\'Brien" author:Zaru');
+
+  assert.equal(query.author, 'Zaru');
+  assert.deepEqual(query.excludedAuthors, ['Ryll', "O'Brien"]);
+  assert.deepEqual(query.excluded, []);
+});
+
+test('parseSearchQuery reads in: as a category unless it names a language', () => {
+  assert.equal(parseSearchQuery('in:espanol').language, 'Español');
+  assert.equal(parseSearchQuery('in:"War Reports"').category, 'War Reports');
+});
+
+test('parseSearchQuery keeps unknown operators as text and drops punctuation', () => {
+  const query = parseSearchQuery('http://example.com ... site:forum');
+
+  assert.deepEqual(query.terms, ['http://example.com', 'site:forum']);
+});
+
+test('parseSearchQuery collects invalid dates', () => {
+  const query = parseSearchQuery('gem before:2009-02-31 after:later');
+
+  assert.equal(query.before, null);
+  assert.equal(query.after, null);
+  assert.deepEqual(query.invalidDates, ['before:2009-02-31', 'after:later']);
+});
+
+test('buildFtsQuery quotes user input and appends exclusions', () => {
+  assert.equal(buildFtsQuery(parseSearchQuery('siege OR NEAR* "of Algaros"')), '("of Algaros" "siege" "OR" "NEAR*")');
+  assert.equal(buildFtsQuery(parseSearchQuery('gem -bug -patch')), '("gem" NOT ("bug" OR "patch"))');
+  assert.equal(buildFtsQuery(parseSearchQuery('-bug')), null);
+});
+
+test('buildFtsPrefixQuery matches the start of every word', () => {
+  assert.equal(buildFtsPrefixQuery('siege alg'), '"siege"* "alg"*');
+  assert.equal(buildFtsPrefixQuery('!?'), null);
+});
+
+test('buildSearchFilters lets parameters override operators', () => {
+  const filters = buildSearchFilters('gem author:Ryll in:English', { author: 'Zaru', after: '2010' });
+
+  assert.equal(filters.matchQuery, '("gem")');
+  assert.equal(filters.author, 'Zaru');
+  assert.equal(filters.language, 'English');
+  assert.equal(filters.after, '2010-01-01');
+  assert.equal(filters.error, null);
+});
+
+test('buildSearchFilters runs operator-only queries as filter searches', () => {
+  const filters = buildSearchFilters('author:Ryll -bug');
+
+  assert.equal(filters.matchQuery, null);
+  assert.equal(filters.excludeQuery, '"bug"');
+  assert.equal(filters.author, 'Ryll');
+});
+
+test('buildSearchFilters runs author exclusions alone as filter searches', () => {
+  const filters = buildSearchFilters('-author:Ryll');
+
+  assert.equal(filters.matchQuery, null);
+  assert.equal(filters.excludeQuery, null);
+  assert.equal(filters.author, null);
+  assert.deepEqual(filters.excludedAuthors, ['Ryll']);
+});
+
+test('buildSearchFilters reports invalid dates', () => {
+  assert.match(buildSearchFilters('gem before:2009-02-31').error, /before:2009-02-31/);
+  assert.match(buildSearchFilters('gem', { after: '2010-13' }).error, /after=2010-13/);
+});
+
+test('stripHtmlForIndex keeps the readable text', () => {
+  assert.equal(stripHtmlForIndex('<p>Tom &amp; <b>Jerry</b><br/>&quot;hi&quot;</p>'), 'Tom & Jerry "hi"');
+});
+
+test('stripHtmlForIndex drops scripts and styles with their content', () => {
+  assert.equal(stripHtmlForIndex('<p>gem</p><script>evil()</script><STYLE type="text/css">p { color: red }</STYLE> relic'), 'gem relic');
+  assert.equal(stripHtmlForIndex('gem <script>evil()'), 'gem');
+});
@@ -0,0 +1,11 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToText } from '../src/utils/thread-export.js';
+
+test('htmlToText decodes numeric entities', () => {
+  assert.equal(htmlToText('<p>&#71;em &#x1F48E;</p>'), 'Gem 💎');
+});
+
+test('htmlToText keeps numeric entities that are no character', () => {
+  assert.equal(htmlToText('<p>&#99999999; &#xD800; &#x110000;</p>'), '&#99999999; &#xD800; &#x110000;');
+});